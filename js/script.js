@@ -7,7 +7,96 @@ const config = {
     scrollOffset: 80,
     typingSpeed: 100,
     deletingSpeed: 50,
-    delayBetweenWords: 2000
+    delayBetweenWords: 2000,
+    projects: {
+        source: 'data/projects.json',
+        pageSize: 6
+    },
+    contact: {
+        // 'fetch' envía JSON al endpoint; 'mailto' abre el cliente de correo
+        transport: 'fetch',
+        // Si está vacío se usa el atributo action del formulario
+        endpoint: '',
+        method: 'POST',
+        headers: {},
+        timeout: 10000,
+        mailtoAddress: 'alonsojjj90@gmail.com',
+        // Reintentos de la bandeja de salida cuando no hay conexión
+        retry: {
+            baseDelay: 5000,
+            maxDelay: 300000,
+            maxAttempts: 8
+        },
+        // Protección anti-spam
+        spam: {
+            honeypotField: 'website',
+            minFillTime: 3000,
+            rateLimit: {
+                max: 3,
+                window: 3600000
+            },
+            powDifficulty: 3,
+            // Si la prueba no se resuelve antes, se envía sin ella (null)
+            powMaxNonce: 200000,
+            powTimeout: 5000
+        },
+        // Campos que se guardan como borrador mientras se escribe
+        draftKey: 'contactDraft',
+        // Límites de los archivos adjuntos
+        attachments: {
+            maxFiles: 5,
+            maxFileSize: 5 * 1024 * 1024,
+            maxTotalSize: 15 * 1024 * 1024,
+            accept: ['image/*', 'application/pdf', '.doc', '.docx', '.fig', '.zip']
+        },
+        draftFields: ['name', 'email', 'subject', 'projectType', 'budget', 'timeline', 'launchDate', 'message', 'newsletter']
+    },
+    theme: {
+        // Ciclo del botón de tema; 'system' sigue a prefers-color-scheme
+        modes: ['light', 'dark', 'system'],
+        variants: ['default', 'high-contrast', 'sepia'],
+        accents: [
+            { name: 'indigo', color: '#6366f1' },
+            { name: 'sky', color: '#0284c7' },
+            { name: 'emerald', color: '#059669' },
+            { name: 'rose', color: '#e11d48' },
+            { name: 'amber', color: '#d97706' }
+        ]
+    },
+    lazyLoad: {
+        rootMargin: '50px 0px',
+        // Fracción visible de un vídeo con data-autoplay para reproducirlo
+        videoThreshold: 0.5,
+        // Reintentos de imágenes fallidas antes de mostrar el placeholder de error
+        retry: {
+            baseDelay: 1000,
+            maxAttempts: 3
+        }
+    },
+    router: {
+        // Enlaces que cambian de página sin recargar; el resto navega de forma normal
+        linkSelector: '.nav-link'
+    },
+    events: {
+        // Registrar en consola cada evento del bus (también con localStorage.debugEvents = 'true')
+        debug: false,
+        debugKey: 'debugEvents'
+    },
+    analytics: {
+        // 'localStorage' (por defecto) y 'console' sirven para probar en local: los
+        // eventos quedan en localStorage[storageKey] o en la consola del navegador.
+        // Para enviarlos a un servidor: sink: 'beacon' y endpoint: 'https://.../collect'
+        sink: 'localStorage',
+        endpoint: '',
+        // Sin consentimiento explícito no se registra nada (Do Not Track siempre manda)
+        requireConsent: true,
+        consentKey: 'analyticsConsent',
+        batchSize: 10,
+        flushInterval: 10000,
+        scrollDepths: [25, 50, 75, 100],
+        storageKey: 'analyticsEvents',
+        storageLimit: 500
+    }
 };
 
 // ==========================================================================
@@ -41,6 +130,17 @@ function throttle(func, limit) {
     };
 }
 
+// Función para escapar texto antes de insertarlo con innerHTML
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
 // Función para detectar si un elemento está en el viewport
 function isInViewport(element, offset = 0) {
     const rect = element.getBoundingClientRect();
@@ -58,6 +158,13 @@ function smoothScrollTo(target, duration = 1000) {
     if (!targetElement) return;
 
     const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset - config.scrollOffset;
+
+    // Con movimiento reducido se salta directamente al destino
+    if (motion.reduced) {
+        window.scrollTo(0, targetPosition);
+        return;
+    }
+
     const startPosition = window.pageYOffset;
     const distance = targetPosition - startPosition;
     let startTime = null;
@@ -81,12 +188,1002 @@ function smoothScrollTo(target, duration = 1000) {
 }
 
 // ==========================================================================
-// NAVEGACIÓN
+// INTERNACIONALIZACIÓN (i18n)
+// ==========================================================================
+
+// Catálogos de mensajes. Las claves con { one, other } se pluralizan según
+// Intl.PluralRules y {param} se sustituye por el valor recibido.
+const translations = {
+    es: {
+        'meta.title.home': 'Mi Portafolio - Inicio',
+        'meta.title.about': 'Mi Portafolio - Acerca de',
+        'meta.title.projects': 'Mi Portafolio - Proyectos',
+        'meta.title.contact': 'Mi Portafolio - Contacto',
+
+        'nav.brand': 'Mi Portafolio',
+        'nav.brandHome': 'Conoce más de Mi',
+        'nav.home': 'Inicio',
+        'nav.about': 'Acerca de',
+        'nav.projects': 'Proyectos',
+        'nav.contact': 'Contacto',
+        'nav.language': 'Idioma',
+
+        'footer.tagline': 'Desarrollador Full Stack apasionado por crear soluciones innovadoras',
+        'footer.links': 'Enlaces',
+        'footer.follow': 'Sígueme',
+        'footer.rights': '© 2024 Mi Portafolio. Todos los derechos reservados.',
+
+        'home.greeting': 'Hola, soy <span class="highlight">ALONSO</span>',
+        'home.subtitle': 'Desarrollador Full Stack Developer especializado en crear experiencias web únicas y funcionales',
+        'home.viewProjects': 'Ver Proyectos',
+        'home.contactMe': 'Contáctame',
+        'home.profileAlt': 'Mi foto de perfil',
+        'home.role': 'Desarrollador Full Stack',
+        'home.typingWords': ['Desarrollador', 'Full Stack', 'Creativo', 'Innovador'],
+        'home.skillsTitle': 'Tecnologías',
+        'home.skillDesign': 'Diseño',
+        'home.featured': 'Proyectos Destacados',
+        'home.allProjects': 'Ver Todos los Proyectos',
+
+        'about.title': 'Acerca de Mí',
+        'about.subtitle': 'Conoce más sobre mi experiencia y habilidades',
+        'about.introTitle': '¡Hola! Soy un Desarrollador Full Stack',
+        'about.intro1': 'Con más de 3 años de experiencia en el desarrollo web, me especializo en crear aplicaciones modernas y funcionales que resuelven problemas reales. Mi pasión por la tecnología me lleva a estar constantemente aprendiendo nuevas herramientas y metodologías.',
+        'about.intro2': 'Me enfoco en escribir código limpio, escalable y mantenible, siguiendo las mejores prácticas de la industria. Disfruto trabajando tanto en el frontend como en el backend, lo que me permite tener una visión completa de los proyectos.',
+        'about.statProjects': 'Proyectos Completados',
+        'about.statYears': 'Años de Experiencia',
+        'about.statClients': 'Clientes Satisfechos',
+        'about.imageAlt': 'Sobre mí',
+        'about.skillsTitle': 'Mis Habilidades',
+        'about.experienceTitle': 'Experiencia',
+        'about.present': '2022 - Presente',
+        'about.job1': 'Desarrollo de aplicaciones web escalables utilizando React, Node.js y AWS. Liderazgo de equipo de 3 desarrolladores junior.',
+        'about.job2': 'Creación de interfaces de usuario responsivas y optimizadas para múltiples clientes del sector e-commerce y fintech.',
+        'about.job3': 'Desarrollo de sitios web corporativos y landing pages. Primeros pasos en el desarrollo backend con PHP y MySQL.',
+
+        'projects.title': 'Mis Proyectos',
+        'projects.subtitle': 'Una muestra de mi trabajo y experiencia',
+        'projects.filter.all': 'Todos',
+        'projects.filter.web': 'Web Apps',
+        'projects.filter.mobile': 'Móvil',
+        'projects.filter.backend': 'Backend',
+        'projects.filter.frontend': 'Frontend',
+        'projects.search.label': 'Buscar proyectos',
+        'projects.search.placeholder': 'Busca por nombre, descripción o tecnología',
+        'projects.facet.tech': 'Tecnología',
+        'projects.facet.status': 'Estado',
+        'projects.facet.year': 'Año',
+        'projects.match.label': 'Combinar filtros',
+        'projects.match.all': 'Todos los filtros',
+        'projects.match.any': 'Cualquier filtro',
+        'projects.clearFilters': 'Limpiar filtros',
+        'projects.results': {
+            one: '{count} proyecto',
+            other: '{count} proyectos'
+        },
+        'projects.resultsPaged': 'Mostrando {shown} de {count} proyectos',
+        'projects.sort.label': 'Ordenar por',
+        'projects.sort.relevance': 'Relevancia',
+        'projects.sort.newest': 'Más recientes',
+        'projects.sort.oldest': 'Más antiguos',
+        'projects.sort.alphabetical': 'Alfabético',
+        'projects.sort.status': 'Estado',
+        'projects.loadMore': 'Cargar más proyectos',
+        'projects.details': 'Ver detalles',
+        'modal.close': 'Cerrar',
+        'modal.previous': 'Proyecto anterior',
+        'modal.next': 'Proyecto siguiente',
+        'modal.position': '{current} de {total}',
+        'modal.gallery': 'Galería',
+        'modal.showImage': 'Mostrar imagen {index}',
+        'modal.challenge': 'El reto',
+        'modal.solution': 'La solución',
+        'modal.results': 'Resultados',
+        'modal.tech': 'Tecnologías',
+        'modal.demo': 'Demo',
+        'lightbox.label': 'Visor de imágenes',
+        'lightbox.open': 'Ampliar imagen',
+        'lightbox.close': 'Cerrar visor',
+        'lightbox.previous': 'Imagen anterior',
+        'lightbox.next': 'Imagen siguiente',
+        'lightbox.counter': '{current} / {total}',
+        'lazy.embed': 'Contenido incrustado',
+        'theme.toggle': 'Tema: {mode}. Cambiar a {next}',
+        'theme.mode.light': 'claro',
+        'theme.mode.dark': 'oscuro',
+        'theme.mode.system': 'el del sistema',
+        'theme.customize': 'Personalizar tema',
+        'motion.reduce': 'Reducir animaciones',
+        'motion.enable': 'Activar animaciones',
+        'analytics.on': 'Estadísticas anónimas: activadas',
+        'analytics.off': 'Estadísticas anónimas: desactivadas',
+        'analytics.dnt': 'Estadísticas desactivadas por "Do Not Track"',
+        'analytics.hint': 'Solo se registran visitas e interacciones, sin datos personales',
+        'theme.variant': 'Estilo',
+        'theme.variant.default': 'Predeterminado',
+        'theme.variant.high-contrast': 'Alto contraste',
+        'theme.variant.sepia': 'Sepia',
+        'theme.accent': 'Color de acento',
+        'theme.accent.custom': 'Color personalizado',
+        'theme.accent.reset': 'Restablecer',
+        'theme.accent.indigo': 'Índigo',
+        'theme.accent.sky': 'Azul cielo',
+        'theme.accent.emerald': 'Esmeralda',
+        'theme.accent.rose': 'Rosa',
+        'theme.accent.amber': 'Ámbar',
+        'lazy.loadEmbed': 'Cargar {title}',
+        'projects.demo': 'Ver Demo',
+        'projects.docs': 'Documentación',
+        'projects.github': 'GitHub',
+        'projects.loadError': 'No se pudieron cargar los proyectos. Por favor, recarga la página.',
+        'projects.empty': 'No hay proyectos que mostrar.',
+        'projects.status.completed': 'Completado',
+        'projects.status.inProgress': 'En Progreso',
+        'projects.ctaTitle': '¿Tienes un proyecto en mente?',
+        'projects.ctaText': 'Trabajemos juntos para convertir tu idea en realidad',
+        'projects.ctaButton': 'Contáctame',
+
+        'contact.title': 'Contacto',
+        'contact.subtitle': '¿Tienes un proyecto en mente? ¡Hablemos!',
+        'contact.infoTitle': 'Ponte en Contacto',
+        'contact.infoText': 'Estoy siempre abierto a discutir nuevos proyectos, oportunidades creativas o simplemente para charlar sobre tecnología. No dudes en escribirme.',
+        'contact.phone': 'Teléfono',
+        'contact.location': 'Ubicación',
+        'contact.availability': 'Disponibilidad',
+        'contact.hours': 'Lun - Vie: 9:00 AM - 6:00 PM',
+        'contact.followMe': 'Sígueme en',
+        'contact.formTitle': 'Envíame un Mensaje',
+        'contact.draftRestored': 'Borrador restaurado.',
+        'contact.draftDiscard': '¿Descartar?',
+        'contact.step.contact': 'Tus Datos',
+        'contact.step.project': 'Tu Proyecto',
+        'contact.step.timeline': 'Plazos',
+        'contact.step.message': 'Tu Mensaje',
+        'contact.step.review': 'Revisa tu Mensaje',
+        'contact.field.name': 'Nombre Completo *',
+        'contact.field.email': 'Email *',
+        'contact.field.subject': 'Asunto *',
+        'contact.field.projectType': 'Tipo de Proyecto (Opcional)',
+        'contact.field.projectTypeEmpty': 'Selecciona un tipo',
+        'contact.projectType.web': 'Sitio o aplicación web',
+        'contact.projectType.mobile': 'Aplicación móvil',
+        'contact.projectType.backend': 'API o backend',
+        'contact.projectType.design': 'Diseño UI/UX',
+        'contact.projectType.other': 'Otro',
+        'contact.field.budget': 'Presupuesto (Opcional)',
+        'contact.field.budgetEmpty': 'Selecciona un rango',
+        'contact.budget.under1k': 'Menos de $1,000',
+        'contact.budget.10kPlus': 'Más de $10,000',
+        'contact.budget.discuss': 'Prefiero discutirlo',
+        'contact.field.timeline': '¿Cuándo necesitas el proyecto? (Opcional)',
+        'contact.field.timelineEmpty': 'Selecciona un plazo',
+        'contact.timeline.asap': 'Lo antes posible',
+        'contact.timeline.1to3': 'En 1 - 3 meses',
+        'contact.timeline.3to6': 'En 3 - 6 meses',
+        'contact.timeline.flexible': 'Soy flexible',
+        'contact.field.launchDate': 'Fecha de lanzamiento deseada (Opcional)',
+        'contact.field.message': 'Mensaje *',
+        'contact.field.messagePlaceholder': 'Cuéntame sobre tu proyecto, ideas o cualquier pregunta que tengas...',
+        'contact.field.attachments': 'Adjuntos (Opcional)',
+        'contact.field.attachmentsHint': 'Arrastra aquí tus briefs o mockups, o haz clic para elegirlos. Hasta 5 archivos de 5 MB.',
+        'contact.field.newsletter': 'Suscribirme a tu newsletter para recibir actualizaciones',
+        'contact.submit': 'Enviar Mensaje',
+        'contact.sending': 'Enviando...',
+        'contact.success.title': '¡Mensaje Enviado!',
+        'contact.success.text': 'Gracias por contactarme. Te responderé lo antes posible.',
+        'contact.error.title': 'Error al Enviar',
+        'contact.error.text': 'Hubo un problema al enviar tu mensaje. Por favor, inténtalo de nuevo.',
+        'contact.pending.title': 'Mensaje en Cola',
+        'contact.pending.text': 'Tu mensaje se enviará automáticamente cuando vuelva la conexión.',
+        'contact.pending.count': {
+            one: 'Tienes {count} mensaje pendiente.',
+            other: 'Tienes {count} mensajes pendientes.'
+        },
+        'contact.pending.retrying': 'Reintentando en breve.',
+        'contact.pending.offline': 'Se enviará automáticamente cuando vuelva la conexión.',
+        'contact.pending.failed': 'Un mensaje pendiente no pudo enviarse. Por favor, escríbeme de nuevo.',
+        'contact.handoff.title': 'Termina el Envío en tu Correo',
+        'contact.handoff.text': 'Se abrió tu cliente de correo con el mensaje preparado. Envíalo desde allí; los adjuntos tendrás que añadirlos a mano. El formulario conserva lo que escribiste.',
+        'contact.faqTitle': 'Preguntas Frecuentes',
+        'contact.faq1.question': '¿Cuánto tiempo toma desarrollar un proyecto?',
+        'contact.faq1.answer': 'El tiempo depende del alcance del proyecto. Un sitio web simple puede tomar 2-4 semanas, mientras que una aplicación compleja puede requerir 2-6 meses. Siempre proporciono estimaciones detalladas después de la consulta inicial.',
+        'contact.faq2.question': '¿Trabajas con clientes internacionales?',
+        'contact.faq2.answer': '¡Absolutamente! Trabajo con clientes de todo el mundo. Utilizo herramientas de comunicación modernas y me adapto a diferentes zonas horarias para asegurar una colaboración fluida.',
+        'contact.faq3.question': '¿Ofreces soporte post-lanzamiento?',
+        'contact.faq3.answer': 'Sí, ofrezco diferentes paquetes de soporte que incluyen corrección de bugs, actualizaciones de contenido, mantenimiento técnico y mejoras continuas según tus necesidades.',
+        'contact.faq4.question': '¿Cuál es tu proceso de trabajo?',
+        'contact.faq4.answer': 'Mi proceso incluye: 1) Consulta inicial y análisis de requisitos, 2) Propuesta y planificación, 3) Diseño y prototipado, 4) Desarrollo y testing, 5) Revisiones y feedback, 6) Lanzamiento y soporte.',
+
+        'wizard.back': 'Atrás',
+        'wizard.next': 'Siguiente',
+        'wizard.progress': 'Progreso del formulario',
+        'wizard.stepOf': 'Paso {current} de {total}',
+        'wizard.step': 'Paso {number}',
+        'wizard.yes': 'Sí',
+        'wizard.no': 'No',
+
+        'attachments.tooMany': '{name}: máximo {max} archivos',
+        'attachments.type': '{name}: tipo de archivo no permitido',
+        'attachments.size': '{name}: supera {max}',
+        'attachments.total': '{name}: el total no puede superar {max}',
+        'attachments.duplicate': '{name}: ya está adjunto',
+        'attachments.remove': 'Quitar {name}',
+
+        'submission.timeout': 'El servidor tardó demasiado en responder',
+        'submission.network': 'No se pudo conectar con el servidor',
+        'submission.validation': 'Revisa los datos del formulario',
+        'submission.server': 'El servidor no pudo procesar tu mensaje. Inténtalo más tarde.',
+        'submission.mailBudget': 'Presupuesto: {budget}',
+        'submission.mailAttachments': 'Adjuntos (enviar por separado): {files}',
+
+        'spam.honeypot': 'No se pudo enviar el mensaje. Por favor, inténtalo de nuevo.',
+        'spam.tooFast': 'Has completado el formulario demasiado rápido. Revisa tu mensaje e inténtalo de nuevo.',
+        'spam.rateLimit': {
+            one: 'Has enviado demasiados mensajes. Podrás enviar otro en {count} minuto.',
+            other: 'Has enviado demasiados mensajes. Podrás enviar otro en {count} minutos.'
+        },
+
+        'validation.required': 'Este campo es requerido',
+        'validation.email': 'Por favor ingresa un email válido',
+        'validation.minlength': 'Debe tener al menos {min} caracteres',
+        'validation.maxlength': 'No puede superar los {max} caracteres',
+        'validation.pattern': 'El formato no es válido',
+        'validation.invalid': 'El valor no es válido',
+        'validation.budgetForProject': 'Indica un presupuesto aproximado para tu proyecto',
+
+        'app.initErrorTitle': 'Error de Inicialización',
+        'app.initErrorText': 'Algunas funcionalidades pueden no estar disponibles. Por favor, recarga la página.',
+        'app.imageUnavailable': 'Imagen no disponible'
+    },
+    en: {
+        'meta.title.home': 'My Portfolio - Home',
+        'meta.title.about': 'My Portfolio - About',
+        'meta.title.projects': 'My Portfolio - Projects',
+        'meta.title.contact': 'My Portfolio - Contact',
+
+        'nav.brand': 'My Portfolio',
+        'nav.brandHome': 'Get to Know Me',
+        'nav.home': 'Home',
+        'nav.about': 'About',
+        'nav.projects': 'Projects',
+        'nav.contact': 'Contact',
+        'nav.language': 'Language',
+
+        'footer.tagline': 'Full Stack Developer passionate about building innovative solutions',
+        'footer.links': 'Links',
+        'footer.follow': 'Follow Me',
+        'footer.rights': '© 2024 My Portfolio. All rights reserved.',
+
+        'home.greeting': 'Hi, I\'m <span class="highlight">ALONSO</span>',
+        'home.subtitle': 'Full Stack Developer focused on building unique and functional web experiences',
+        'home.viewProjects': 'View Projects',
+        'home.contactMe': 'Contact Me',
+        'home.profileAlt': 'My profile photo',
+        'home.role': 'Full Stack Developer',
+        'home.typingWords': ['Developer', 'Full Stack', 'Creative', 'Innovator'],
+        'home.skillsTitle': 'Technologies',
+        'home.skillDesign': 'Design',
+        'home.featured': 'Featured Projects',
+        'home.allProjects': 'View All Projects',
+
+        'about.title': 'About Me',
+        'about.subtitle': 'Learn more about my experience and skills',
+        'about.introTitle': 'Hi! I\'m a Full Stack Developer',
+        'about.intro1': 'With more than 3 years of experience in web development, I specialize in building modern, functional applications that solve real problems. My passion for technology keeps me constantly learning new tools and methodologies.',
+        'about.intro2': 'I focus on writing clean, scalable and maintainable code, following industry best practices. I enjoy working on both the frontend and the backend, which gives me a complete view of every project.',
+        'about.statProjects': 'Completed Projects',
+        'about.statYears': 'Years of Experience',
+        'about.statClients': 'Happy Clients',
+        'about.imageAlt': 'About me',
+        'about.skillsTitle': 'My Skills',
+        'about.experienceTitle': 'Experience',
+        'about.present': '2022 - Present',
+        'about.job1': 'Built scalable web applications with React, Node.js and AWS. Led a team of 3 junior developers.',
+        'about.job2': 'Built responsive, optimized user interfaces for several e-commerce and fintech clients.',
+        'about.job3': 'Built corporate websites and landing pages. First steps in backend development with PHP and MySQL.',
+
+        'projects.title': 'My Projects',
+        'projects.subtitle': 'A sample of my work and experience',
+        'projects.filter.all': 'All',
+        'projects.filter.web': 'Web Apps',
+        'projects.filter.mobile': 'Mobile',
+        'projects.filter.backend': 'Backend',
+        'projects.filter.frontend': 'Frontend',
+        'projects.search.label': 'Search projects',
+        'projects.search.placeholder': 'Search by name, description or technology',
+        'projects.facet.tech': 'Technology',
+        'projects.facet.status': 'Status',
+        'projects.facet.year': 'Year',
+        'projects.match.label': 'Combine filters',
+        'projects.match.all': 'All filters',
+        'projects.match.any': 'Any filter',
+        'projects.clearFilters': 'Clear filters',
+        'projects.results': {
+            one: '{count} project',
+            other: '{count} projects'
+        },
+        'projects.resultsPaged': 'Showing {shown} of {count} projects',
+        'projects.sort.label': 'Sort by',
+        'projects.sort.relevance': 'Relevance',
+        'projects.sort.newest': 'Newest',
+        'projects.sort.oldest': 'Oldest',
+        'projects.sort.alphabetical': 'Alphabetical',
+        'projects.sort.status': 'Status',
+        'projects.loadMore': 'Load more projects',
+        'projects.details': 'View details',
+        'modal.close': 'Close',
+        'modal.previous': 'Previous project',
+        'modal.next': 'Next project',
+        'modal.position': '{current} of {total}',
+        'modal.gallery': 'Gallery',
+        'modal.showImage': 'Show image {index}',
+        'modal.challenge': 'The challenge',
+        'modal.solution': 'The solution',
+        'modal.results': 'Results',
+        'modal.tech': 'Tech stack',
+        'modal.demo': 'Demo',
+        'lightbox.label': 'Image viewer',
+        'lightbox.open': 'Enlarge image',
+        'lightbox.close': 'Close viewer',
+        'lightbox.previous': 'Previous image',
+        'lightbox.next': 'Next image',
+        'lightbox.counter': '{current} / {total}',
+        'lazy.embed': 'Embedded content',
+        'theme.toggle': 'Theme: {mode}. Switch to {next}',
+        'theme.mode.light': 'light',
+        'theme.mode.dark': 'dark',
+        'theme.mode.system': 'system',
+        'theme.customize': 'Customize theme',
+        'motion.reduce': 'Reduce motion',
+        'motion.enable': 'Enable motion',
+        'analytics.on': 'Anonymous statistics: on',
+        'analytics.off': 'Anonymous statistics: off',
+        'analytics.dnt': 'Statistics disabled by "Do Not Track"',
+        'analytics.hint': 'Only visits and interactions are recorded, no personal data',
+        'theme.variant': 'Style',
+        'theme.variant.default': 'Default',
+        'theme.variant.high-contrast': 'High contrast',
+        'theme.variant.sepia': 'Sepia',
+        'theme.accent': 'Accent color',
+        'theme.accent.custom': 'Custom color',
+        'theme.accent.reset': 'Reset',
+        'theme.accent.indigo': 'Indigo',
+        'theme.accent.sky': 'Sky blue',
+        'theme.accent.emerald': 'Emerald',
+        'theme.accent.rose': 'Rose',
+        'theme.accent.amber': 'Amber',
+        'lazy.loadEmbed': 'Load {title}',
+        'projects.demo': 'View Demo',
+        'projects.docs': 'Documentation',
+        'projects.github': 'GitHub',
+        'projects.loadError': 'Projects could not be loaded. Please reload the page.',
+        'projects.empty': 'There are no projects to show.',
+        'projects.status.completed': 'Completed',
+        'projects.status.inProgress': 'In Progress',
+        'projects.ctaTitle': 'Have a project in mind?',
+        'projects.ctaText': 'Let\'s work together to turn your idea into reality',
+        'projects.ctaButton': 'Contact Me',
+
+        'contact.title': 'Contact',
+        'contact.subtitle': 'Have a project in mind? Let\'s talk!',
+        'contact.infoTitle': 'Get in Touch',
+        'contact.infoText': 'I\'m always open to discussing new projects, creative opportunities or just chatting about technology. Feel free to write to me.',
+        'contact.phone': 'Phone',
+        'contact.location': 'Location',
+        'contact.availability': 'Availability',
+        'contact.hours': 'Mon - Fri: 9:00 AM - 6:00 PM',
+        'contact.followMe': 'Follow me on',
+        'contact.formTitle': 'Send Me a Message',
+        'contact.draftRestored': 'Draft restored.',
+        'contact.draftDiscard': 'Discard?',
+        'contact.step.contact': 'Your Details',
+        'contact.step.project': 'Your Project',
+        'contact.step.timeline': 'Timeline',
+        'contact.step.message': 'Your Message',
+        'contact.step.review': 'Review Your Message',
+        'contact.field.name': 'Full Name *',
+        'contact.field.email': 'Email *',
+        'contact.field.subject': 'Subject *',
+        'contact.field.projectType': 'Project Type (Optional)',
+        'contact.field.projectTypeEmpty': 'Choose a type',
+        'contact.projectType.web': 'Website or web app',
+        'contact.projectType.mobile': 'Mobile app',
+        'contact.projectType.backend': 'API or backend',
+        'contact.projectType.design': 'UI/UX design',
+        'contact.projectType.other': 'Other',
+        'contact.field.budget': 'Budget (Optional)',
+        'contact.field.budgetEmpty': 'Choose a range',
+        'contact.budget.under1k': 'Under $1,000',
+        'contact.budget.10kPlus': 'Over $10,000',
+        'contact.budget.discuss': 'I\'d rather discuss it',
+        'contact.field.timeline': 'When do you need the project? (Optional)',
+        'contact.field.timelineEmpty': 'Choose a timeframe',
+        'contact.timeline.asap': 'As soon as possible',
+        'contact.timeline.1to3': 'In 1 - 3 months',
+        'contact.timeline.3to6': 'In 3 - 6 months',
+        'contact.timeline.flexible': 'I\'m flexible',
+        'contact.field.launchDate': 'Desired launch date (Optional)',
+        'contact.field.message': 'Message *',
+        'contact.field.messagePlaceholder': 'Tell me about your project, ideas or any question you have...',
+        'contact.field.attachments': 'Attachments (Optional)',
+        'contact.field.attachmentsHint': 'Drop your briefs or mockups here, or click to choose them. Up to 5 files of 5 MB.',
+        'contact.field.newsletter': 'Subscribe to your newsletter to receive updates',
+        'contact.submit': 'Send Message',
+        'contact.sending': 'Sending...',
+        'contact.success.title': 'Message Sent!',
+        'contact.success.text': 'Thanks for reaching out. I\'ll get back to you as soon as possible.',
+        'contact.error.title': 'Sending Failed',
+        'contact.error.text': 'There was a problem sending your message. Please try again.',
+        'contact.pending.title': 'Message Queued',
+        'contact.pending.text': 'Your message will be sent automatically when the connection is back.',
+        'contact.pending.count': {
+            one: 'You have {count} pending message.',
+            other: 'You have {count} pending messages.'
+        },
+        'contact.pending.retrying': 'Retrying shortly.',
+        'contact.pending.offline': 'It will be sent automatically when the connection is back.',
+        'contact.pending.failed': 'A pending message could not be sent. Please write to me again.',
+        'contact.handoff.title': 'Finish Sending in Your Email',
+        'contact.handoff.text': 'Your email client opened with the message ready. Send it from there; attachments have to be added by hand. The form keeps what you wrote.',
+        'contact.faqTitle': 'Frequently Asked Questions',
+        'contact.faq1.question': 'How long does it take to build a project?',
+        'contact.faq1.answer': 'It depends on the scope. A simple website can take 2-4 weeks, while a complex application may need 2-6 months. I always provide detailed estimates after the initial consultation.',
+        'contact.faq2.question': 'Do you work with international clients?',
+        'contact.faq2.answer': 'Absolutely! I work with clients all over the world. I use modern communication tools and adapt to different time zones to keep collaboration smooth.',
+        'contact.faq3.question': 'Do you offer post-launch support?',
+        'contact.faq3.answer': 'Yes, I offer several support packages including bug fixes, content updates, technical maintenance and continuous improvements tailored to your needs.',
+        'contact.faq4.question': 'What is your work process?',
+        'contact.faq4.answer': 'My process includes: 1) Initial consultation and requirements analysis, 2) Proposal and planning, 3) Design and prototyping, 4) Development and testing, 5) Reviews and feedback, 6) Launch and support.',
+
+        'wizard.back': 'Back',
+        'wizard.next': 'Next',
+        'wizard.progress': 'Form progress',
+        'wizard.stepOf': 'Step {current} of {total}',
+        'wizard.step': 'Step {number}',
+        'wizard.yes': 'Yes',
+        'wizard.no': 'No',
+
+        'attachments.tooMany': '{name}: {max} files maximum',
+        'attachments.type': '{name}: file type not allowed',
+        'attachments.size': '{name}: larger than {max}',
+        'attachments.total': '{name}: total size cannot exceed {max}',
+        'attachments.duplicate': '{name}: already attached',
+        'attachments.remove': 'Remove {name}',
+
+        'submission.timeout': 'The server took too long to respond',
+        'submission.network': 'Could not connect to the server',
+        'submission.validation': 'Please review the form data',
+        'submission.server': 'The server could not process your message. Please try again later.',
+        'submission.mailBudget': 'Budget: {budget}',
+        'submission.mailAttachments': 'Attachments (send separately): {files}',
+
+        'spam.honeypot': 'The message could not be sent. Please try again.',
+        'spam.tooFast': 'You filled in the form too quickly. Please review your message and try again.',
+        'spam.rateLimit': {
+            one: 'You have sent too many messages. You can send another one in {count} minute.',
+            other: 'You have sent too many messages. You can send another one in {count} minutes.'
+        },
+
+        'validation.required': 'This field is required',
+        'validation.email': 'Please enter a valid email',
+        'validation.minlength': 'Must be at least {min} characters',
+        'validation.maxlength': 'Cannot exceed {max} characters',
+        'validation.pattern': 'The format is not valid',
+        'validation.invalid': 'The value is not valid',
+        'validation.budgetForProject': 'Please give an approximate budget for your project',
+
+        'app.initErrorTitle': 'Initialization Error',
+        'app.initErrorText': 'Some features may not be available. Please reload the page.',
+        'app.imageUnavailable': 'Image not available'
+    }
+};
+
+class I18n {
+    constructor(catalogs, options = {}) {
+        this.catalogs = catalogs;
+        this.defaultLanguage = options.defaultLanguage || 'es';
+        this.storageKey = options.storageKey || 'language';
+        this.listeners = [];
+        this.language = this.detectLanguage();
+    }
+
+    getLanguages() {
+        return Object.keys(this.catalogs);
+    }
+
+    // Preferencia guardada > idioma del navegador > idioma por defecto
+    detectLanguage() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved && this.catalogs[saved]) return saved;
+        } catch (error) {
+            // localStorage no disponible (modo privado, etc.)
+        }
+
+        const preferred = navigator.languages || [navigator.language];
+        for (const language of preferred) {
+            const code = (language || '').slice(0, 2).toLowerCase();
+            if (this.catalogs[code]) return code;
+        }
+
+        return this.defaultLanguage;
+    }
+
+    mount() {
+        this.setupSwitcher();
+        this.apply();
+    }
+
+    setupSwitcher() {
+        document.querySelectorAll('[data-lang]').forEach(button => {
+            button.addEventListener('click', () => this.setLanguage(button.getAttribute('data-lang')));
+        });
+    }
+
+    setLanguage(language) {
+        if (!this.catalogs[language]) return;
+
+        this.language = language;
+
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.warn('No se pudo guardar el idioma:', error);
+        }
+
+        this.apply();
+    }
+
+    apply() {
+        document.documentElement.setAttribute('lang', this.language);
+        this.translatePage();
+
+        document.querySelectorAll('[data-lang]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-lang') === this.language));
+        });
+
+        this.listeners.forEach(listener => listener(this.language));
+    }
+
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        // Solo para textos del catálogo con marcado propio (p. ej. <span class="highlight">)
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.getAttribute('data-i18n-html'));
+        });
+
+        ['placeholder', 'alt', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    // Avisar a los componentes que generan texto para que se vuelvan a pintar
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    t(key, params = {}) {
+        return this.translate(this.language, key, params);
+    }
+
+    translate(language, key, params = {}) {
+        let message = this.catalogs[language]?.[key] ?? this.catalogs[this.defaultLanguage]?.[key];
+
+        if (message === undefined) {
+            console.warn(`Traducción no encontrada: ${key}`);
+            return key;
+        }
+
+        if (Array.isArray(message)) {
+            return message;
+        }
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(language).select(params.count ?? 0);
+            message = message[category] ?? message.other;
+        }
+
+        return I18n.interpolate(message, params);
+    }
+
+    static interpolate(message, params = {}) {
+        return message.replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+    }
+}
+
+const i18n = new I18n(translations);
+
+// Atajo para traducir desde cualquier componente
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+// ==========================================================================
+// PREFERENCIA DE MOVIMIENTO
+// ==========================================================================
+
+// Fuente única de verdad para "reducir movimiento": preferencia del sistema
+// (prefers-reduced-motion), elección del usuario en la página o conexión lenta
+class MotionPreference {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'motion';
+        this.listeners = [];
+        this.constrained = false;
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.preference = this.loadPreference();
+
+        if (this.query) {
+            this.query.addEventListener('change', () => {
+                if (this.preference === 'system') {
+                    this.apply();
+                }
+            });
+        }
+    }
+
+    // 'system' | 'reduce' | 'full'
+    loadPreference() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved === 'reduce' || saved === 'full' ? saved : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    get systemReduced() {
+        return Boolean(this.query && this.query.matches);
+    }
+
+    get reduced() {
+        if (this.preference === 'reduce' || this.constrained) return true;
+        if (this.preference === 'full') return false;
+        return this.systemReduced;
+    }
+
+    mount() {
+        this.setupToggle();
+        this.apply();
+        i18n.onChange(() => this.updateToggle());
+    }
+
+    setupToggle() {
+        this.toggles = document.querySelectorAll('.motion-toggle');
+        this.toggles.forEach(toggle => {
+            toggle.addEventListener('click', () => this.toggle());
+        });
+    }
+
+    // Alterna el estado efectivo; si coincide con el del sistema se vuelve a seguir al sistema
+    toggle() {
+        const reduce = !this.reduced;
+        this.setPreference(reduce === this.systemReduced ? 'system' : (reduce ? 'reduce' : 'full'));
+    }
+
+    setPreference(preference) {
+        this.preference = ['reduce', 'full'].includes(preference) ? preference : 'system';
+
+        try {
+            if (this.preference === 'system') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, this.preference);
+            }
+        } catch (error) {
+            console.warn('No se pudo guardar la preferencia de movimiento:', error);
+        }
+
+        this.apply();
+    }
+
+    // Reducción forzada por el entorno (p. ej. conexión 2G), sin tocar la preferencia guardada
+    setConstrained(constrained) {
+        this.constrained = constrained;
+        this.apply();
+    }
+
+    apply() {
+        const reduced = this.reduced;
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+        if (document.body) {
+            document.body.classList.toggle('reduce-motion', reduced);
+        }
+
+        this.updateToggle();
+        this.listeners.forEach(listener => listener(reduced));
+    }
+
+    updateToggle() {
+        if (!this.toggles) return;
+
+        this.toggles.forEach(toggle => {
+            toggle.setAttribute('aria-pressed', String(this.reduced));
+            toggle.setAttribute('aria-label', t(this.reduced ? 'motion.enable' : 'motion.reduce'));
+            toggle.title = toggle.getAttribute('aria-label');
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+}
+
+const motion = new MotionPreference();
+
+// ==========================================================================
+// BUS DE EVENTOS
+// ==========================================================================
+
+// Catálogo de eventos de la aplicación con los campos de su detalle.
+// emit() avisa en consola si el evento no está aquí o le falta algún campo.
+const appEvents = {
+    // mode: 'light' | 'dark' | 'system'; theme: tema resultante
+    'theme:changed': ['mode', 'theme', 'variant', 'accent'],
+    // facets: { faceta: [valores] }; fromURL: restaurado desde la URL y no elegido por el usuario
+    'filter:changed': ['facets', 'match', 'query', 'sort', 'results', 'total', 'fromURL'],
+    // status: 'sent' (entregado) | 'queued' (en la bandeja de salida hasta tener conexión)
+    // | 'handoff' (abierto en el cliente de correo; el visitante aún tiene que enviarlo)
+    'form:submitted': ['form', 'status'],
+    'image:loaded': ['element', 'src', 'attempts'],
+    'image:failed': ['element', 'src', 'attempts'],
+    'route:changed': ['path', 'previousPath', 'title'],
+    // question: clave i18n de la pregunta (o su posición si no tiene)
+    'faq:toggled': ['index', 'question', 'open'],
+    // Embudo del formulario: primer campo editado y envíos con errores (solo nombres de campo)
+    'form:started': ['form'],
+    'form:invalid': ['form', 'fields'],
+    // Tecla Escape: la capa superior que la atiende marca handled para que las de debajo no se cierren
+    'ui:escape': ['handled']
+};
+
+class EventBus {
+    constructor(catalog = {}, options = {}) {
+        this.catalog = catalog;
+        this.debug = Boolean(options.debug);
+        // patrón ('theme:changed', 'theme:*' o '*') -> lista de { handler, once }
+        this.listeners = new Map();
+    }
+
+    // Devuelve una función para cancelar la suscripción, como i18n.onChange
+    on(pattern, handler, options = {}) {
+        const entry = { handler, once: Boolean(options.once) };
+        const entries = this.listeners.get(pattern) || [];
+        entries.push(entry);
+        this.listeners.set(pattern, entries);
+
+        return () => this.remove(pattern, entry);
+    }
+
+    once(pattern, handler) {
+        return this.on(pattern, handler, { once: true });
+    }
+
+    off(pattern, handler) {
+        (this.listeners.get(pattern) || [])
+            .filter(entry => entry.handler === handler)
+            .forEach(entry => this.remove(pattern, entry));
+    }
+
+    remove(pattern, entry) {
+        const entries = (this.listeners.get(pattern) || []).filter(item => item !== entry);
+
+        if (entries.length > 0) {
+            this.listeners.set(pattern, entries);
+        } else {
+            this.listeners.delete(pattern);
+        }
+    }
+
+    static patternsFor(name) {
+        const namespace = name.split(':')[0];
+        return [name, `${namespace}:*`, '*'];
+    }
+
+    emit(name, detail = {}) {
+        this.validate(name, detail);
+
+        if (this.debug) {
+            console.debug(`[evento] ${name}`, detail);
+        }
+
+        EventBus.patternsFor(name).forEach(pattern => {
+            // Copia: un manejador puede suscribirse o cancelarse mientras se recorre
+            (this.listeners.get(pattern) || []).slice().forEach(entry => {
+                if (entry.once) {
+                    this.remove(pattern, entry);
+                }
+
+                try {
+                    entry.handler(detail, name);
+                } catch (error) {
+                    // Un suscriptor con errores no debe impedir que lleguen los demás
+                    console.error(`Error en un suscriptor de "${name}":`, error);
+                }
+            });
+        });
+    }
+
+    validate(name, detail) {
+        const fields = this.catalog[name];
+
+        if (!fields) {
+            console.warn(`Evento no registrado en el catálogo: ${name}`);
+            return;
+        }
+
+        const missing = fields.filter(field => !(field in detail));
+        if (missing.length > 0) {
+            console.warn(`Al evento "${name}" le faltan campos: ${missing.join(', ')}`);
+        }
+    }
+
+    // Depuración: registrar en consola todo el flujo de eventos
+    setDebug(enabled) {
+        this.debug = Boolean(enabled);
+
+        try {
+            if (this.debug) {
+                localStorage.setItem(config.events.debugKey, 'true');
+            } else {
+                localStorage.removeItem(config.events.debugKey);
+            }
+        } catch (error) {
+            // localStorage no disponible: la depuración dura solo esta visita
+        }
+    }
+
+    static isDebugEnabled() {
+        try {
+            return config.events.debug || localStorage.getItem(config.events.debugKey) === 'true';
+        } catch (error) {
+            return config.events.debug;
+        }
+    }
+}
+
+const events = new EventBus(appEvents, { debug: EventBus.isDebugEnabled() });
+
+// ==========================================================================
+// COMPONENTE BASE
 // ==========================================================================
 
-class Navigation {
+// Ciclo de vida común: mount() ejecuta init() y unmount() retira todo lo que se
+// registró con listen(), setTimer(), requestFrame() u onCleanup(), de modo que
+// un componente se puede volver a montar sin duplicar manejadores ni temporizadores.
+class Component {
     constructor() {
+        this.mounted = false;
+        this.destroyed = false;
+        this.controller = null;
+        this.timers = new Set();
+        this.frames = new Set();
+        this.cleanups = [];
+    }
+
+    mount() {
+        if (this.mounted || this.destroyed) return this;
+
+        this.controller = new AbortController();
+        this.mounted = true;
         this.init();
+        return this;
+    }
+
+    // Las subclases crean sus elementos y registran sus manejadores aquí
+    init() {}
+
+    unmount() {
+        if (!this.mounted) return;
+
+        this.mounted = false;
+        this.controller.abort();
+        this.controller = null;
+
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.frames.forEach(frame => cancelAnimationFrame(frame));
+        this.frames.clear();
+
+        // En orden inverso al registro, como se deshace una pila
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+    }
+
+    // Volver a inicializar (p. ej. tras cambiar el contenido que gestiona)
+    remount() {
+        this.unmount();
+        return this.mount();
+    }
+
+    destroy() {
+        this.unmount();
+        this.destroyed = true;
+    }
+
+    // addEventListener ligado al montaje: se elimina solo al desmontar
+    listen(target, type, handler, options = {}) {
+        if (!target) return;
+
+        const listenerOptions = typeof options === 'boolean' ? { capture: options } : options;
+        target.addEventListener(type, handler, { ...listenerOptions, signal: this.controller.signal });
+    }
+
+    setTimer(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimer(timer) {
+        clearTimeout(timer);
+        this.timers.delete(timer);
+    }
+
+    requestFrame(callback) {
+        const frame = requestAnimationFrame((time) => {
+            this.frames.delete(frame);
+            callback(time);
+        });
+
+        this.frames.add(frame);
+        return frame;
+    }
+
+    // Versiones de debounce/throttle cuyos temporizadores se cancelan al desmontar
+    debounce(func, wait) {
+        let timer;
+        return (...args) => {
+            this.clearTimer(timer);
+            timer = this.setTimer(() => func(...args), wait);
+        };
+    }
+
+    throttle(func, limit) {
+        let waiting = false;
+        return (...args) => {
+            if (waiting) return;
+            func(...args);
+            waiting = true;
+            this.setTimer(() => {
+                waiting = false;
+            }, limit);
+        };
+    }
+
+    // Suscripción al bus de eventos que se cancela al desmontar
+    subscribe(pattern, handler, options) {
+        return this.onCleanup(events.on(pattern, handler, options));
+    }
+
+    // Para suscripciones (i18n.onChange, motion.onChange) y observadores
+    onCleanup(cleanup) {
+        this.cleanups.push(cleanup);
+        return cleanup;
+    }
+}
+
+// ==========================================================================
+// NAVEGACIÓN
+// ==========================================================================
+
+class Navigation extends Component {
+    constructor() {
+        super();
+        this.mount();
     }
 
     init() {
@@ -105,29 +1202,36 @@ class Navigation {
     bindEvents() {
         // Toggle mobile menu
         if (this.navToggle) {
-            this.navToggle.addEventListener('click', () => this.toggleMobileMenu());
+            this.listen(this.navToggle, 'click', () => this.toggleMobileMenu());
         }
 
         // Close mobile menu when clicking on links
         this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
+            this.listen(link, 'click', (e) => {
                 this.handleNavClick(e);
                 this.closeMobileMenu();
             });
         });
 
         // Handle scroll for header effects
-        window.addEventListener('scroll', throttle(() => this.handleScroll(), 100));
+        this.listen(window, 'scroll', this.throttle(() => this.handleScroll(), 100));
 
         // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
             if (!this.navMenu.contains(e.target) && !this.navToggle.contains(e.target)) {
                 this.closeMobileMenu();
             }
         });
 
         // Handle resize
-        window.addEventListener('resize', debounce(() => this.handleResize(), 250));
+        this.listen(window, 'resize', this.debounce(() => this.handleResize(), 250));
+
+        // Escape: el menú solo se cierra si no hay un modal o visor abierto encima
+        this.subscribe('ui:escape', (detail) => {
+            const overlayOpen = document.body.classList.contains('modal-open') || document.body.classList.contains('lightbox-open');
+            if (detail.handled || overlayOpen) return;
+            this.closeMobileMenu();
+        });
     }
 
     toggleMobileMenu() {
@@ -199,664 +1303,5246 @@ class Navigation {
 }
 
 // ==========================================================================
-// FILTRO DE PROYECTOS
+// CATÁLOGO DE PROYECTOS
 // ==========================================================================
 
-class ProjectFilter {
-    constructor() {
-        this.init();
+// Devuelve el texto en el idioma actual para campos { es, en }
+function localize(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value[i18n.language] ?? value[i18n.defaultLanguage] ?? Object.values(value)[0];
     }
+    return value;
+}
 
-    init() {
-        this.setupElements();
-        this.bindEvents();
+class ProjectCatalog {
+    constructor(source) {
+        this.source = source;
+        this.projects = [];
     }
 
-    setupElements() {
-        this.filterButtons = document.querySelectorAll('.filter-btn');
-        this.projectCards = document.querySelectorAll('.project-card-detailed');
-        this.projectsGrid = document.getElementById('projects-grid');
+    async load() {
+        const response = await fetch(this.source);
+        if (!response.ok) {
+            throw new Error(`No se pudo cargar ${this.source} (${response.status})`);
+        }
+
+        const data = await response.json();
+        this.projects = (data.projects || []).map(project => ProjectCatalog.normalize(project));
+        return this.projects;
     }
 
-    bindEvents() {
-        this.filterButtons.forEach(button => {
-            button.addEventListener('click', (e) => this.handleFilterClick(e));
-        });
+    static normalize(project) {
+        return {
+            id: project.id,
+            title: project.title,
+            summary: project.summary || project.description,
+            description: project.description,
+            caseStudy: project.caseStudy || null,
+            tech: project.tech || [],
+            categories: project.categories || [],
+            year: project.year,
+            status: project.status || 'completed',
+            featured: Boolean(project.featured),
+            links: project.links || [],
+            images: project.images || [],
+            // Demos incrustadas: [{ type: 'iframe' | 'video', src, title, poster }]
+            embeds: project.embeds || []
+        };
     }
 
-    handleFilterClick(e) {
-        const button = e.target;
-        const filter = button.getAttribute('data-filter');
+    getAll() {
+        return this.projects.slice();
+    }
 
-        // Update active button
-        this.filterButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
+    getById(id) {
+        return this.projects.find(project => project.id === id);
+    }
 
-        // Filter projects
-        this.filterProjects(filter);
+    getFeatured() {
+        return this.projects.filter(project => project.featured);
     }
 
-    filterProjects(filter) {
-        this.projectCards.forEach(card => {
-            const categories = card.getAttribute('data-category');
-            const shouldShow = filter === 'all' || categories.includes(filter);
+    filter(predicate) {
+        return this.projects.filter(predicate);
+    }
+}
 
-            if (shouldShow) {
-                card.classList.remove('hidden');
-                card.style.display = 'block';
-                setTimeout(() => {
-                    card.style.opacity = '1';
-                    card.style.transform = 'scale(1)';
-                }, 50);
-            } else {
-                card.style.opacity = '0';
-                card.style.transform = 'scale(0.8)';
-                setTimeout(() => {
-                    card.classList.add('hidden');
-                    card.style.display = 'none';
-                }, config.animationDuration);
-            }
-        });
+class ProjectRenderer {
+    constructor(catalog, containers = {}) {
+        this.catalog = catalog;
+        this.grid = containers.grid !== undefined ? containers.grid : document.getElementById('projects-grid');
+        this.preview = containers.preview !== undefined ? containers.preview : document.getElementById('featured-projects');
+    }
+
+    render() {
+        if (this.grid) {
+            this.renderInto(this.grid, this.catalog.getAll(), project => this.renderCard(project));
+        }
+
+        if (this.preview) {
+            this.renderInto(this.preview, this.catalog.getFeatured(), project => this.renderPreview(project));
+        }
+    }
+
+    renderInto(container, projects, template) {
+        container.innerHTML = projects.length > 0
+            ? projects.map(template).join('')
+            : `<p class="projects-empty">${escapeHTML(t('projects.empty'))}</p>`;
+        container.removeAttribute('aria-busy');
+    }
+
+    renderError(error) {
+        console.error('Error al cargar los proyectos:', error);
+
+        [this.grid, this.preview].forEach(container => {
+            if (!container) return;
+            container.innerHTML = `<p class="projects-empty">${escapeHTML(t('projects.loadError'))}</p>`;
+            container.removeAttribute('aria-busy');
+        });
+    }
+
+    renderCard(project) {
+        const image = project.images[0];
+        const statusKey = project.status === 'in-progress' ? 'projects.status.inProgress' : 'projects.status.completed';
+
+        return `
+            <div class="project-card-detailed" data-project-id="${escapeHTML(project.id)}">
+                <div class="project-image">
+                    ${image ? this.renderImage(image, project, 'data-lightbox="projects"') : ''}
+                    <div class="project-overlay">
+                        <div class="project-links">
+                            <a href="#project/${escapeHTML(project.id)}" class="project-link project-link-details">${escapeHTML(t('projects.details'))}</a>
+                            ${project.links.map(link => this.renderLink(link)).join('')}
+                        </div>
+                    </div>
+                </div>
+                <div class="project-content">
+                    <h3><a href="#project/${escapeHTML(project.id)}" class="project-title-link">${escapeHTML(project.title)}</a></h3>
+                    <p>${escapeHTML(localize(project.description))}</p>
+                    ${this.renderTech(project.tech)}
+                    <div class="project-meta">
+                        <span class="project-date">${escapeHTML(project.year)}</span>
+                        <span class="project-status ${escapeHTML(project.status)}">${escapeHTML(t(statusKey))}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderPreview(project) {
+        const image = project.images[0];
+
+        return `
+            <div class="project-card" data-project-id="${escapeHTML(project.id)}">
+                ${image ? this.renderImage(image, project, 'class="project-img"') : ''}
+                <div class="project-info">
+                    <h3>${escapeHTML(project.title)}</h3>
+                    <p>${escapeHTML(localize(project.summary))}</p>
+                    ${this.renderTech(project.tech.slice(0, 3))}
+                </div>
+            </div>
+        `;
+    }
+
+    // Imagen diferida para LazyLoader; admite srcset/sizes, <picture> y placeholders
+    // image: { src, alt, srcset?, sizes?, sources?: [{ srcset, type?, media? }], placeholder?, color? }
+    renderImage(image, project, attributes = '') {
+        const optional = [
+            ['data-srcset', image.srcset],
+            ['data-sizes', image.sizes],
+            ['data-placeholder', image.placeholder],
+            ['data-placeholder-color', image.color]
+        ]
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${name}="${escapeHTML(value)}"`)
+            .join(' ');
+
+        const img = `<img data-src="${escapeHTML(image.src)}" alt="${escapeHTML(localize(image.alt) || project.title)}" ${optional} ${attributes}>`;
+
+        if (!Array.isArray(image.sources) || image.sources.length === 0) {
+            return img;
+        }
+
+        const sources = image.sources.map(source => {
+            const type = source.type ? ` type="${escapeHTML(source.type)}"` : '';
+            const media = source.media ? ` media="${escapeHTML(source.media)}"` : '';
+            return `<source data-srcset="${escapeHTML(source.srcset)}"${type}${media}>`;
+        }).join('');
+
+        return `<picture>${sources}${img}</picture>`;
+    }
+
+    renderTech(tech) {
+        return `<div class="project-tech">${tech.map(item => `<span>${escapeHTML(item)}</span>`).join('')}</div>`;
+    }
+
+    renderLink(link) {
+        const labelKey = { demo: 'projects.demo', docs: 'projects.docs', github: 'projects.github' }[link.type];
+        const label = link.label ? localize(link.label) : t(labelKey || 'projects.demo');
+        return `<a href="${escapeHTML(link.url)}" class="project-link" data-link-type="${escapeHTML(link.type || 'link')}">${escapeHTML(label)}</a>`;
+    }
+}
+
+// ==========================================================================
+// BÚSQUEDA DE PROYECTOS
+// ==========================================================================
+
+// Índice de texto completo sobre el catálogo, tolerante a tildes y erratas
+class ProjectSearch {
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.index = [];
+        this.build();
+    }
+
+    // Minúsculas y sin diacríticos: "Gestión" y "gestion" son equivalentes
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    static tokenize(text) {
+        return ProjectSearch.normalize(text).split(/[^a-z0-9.#+]+/).filter(Boolean);
+    }
+
+    // Distancia de Levenshtein con corte temprano cuando se supera el máximo
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Erratas permitidas según la longitud del término
+    static tolerance(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    // Se reconstruye al cambiar de idioma porque la descripción está localizada
+    build() {
+        this.index = this.catalog.getAll().map(project => ({
+            id: project.id,
+            fields: [
+                { tokens: ProjectSearch.tokenize(project.title), weight: ProjectSearch.weights.title },
+                { tokens: ProjectSearch.tokenize(project.tech.join(' ')), weight: ProjectSearch.weights.tech },
+                { tokens: ProjectSearch.tokenize(localize(project.description)), weight: ProjectSearch.weights.description }
+            ]
+        }));
+    }
+
+    // Puntuación de un término contra una palabra del índice (0 si no coincide)
+    static score(term, token) {
+        if (token === term) return 1;
+        if (token.startsWith(term)) return 0.8;
+        if (term.length >= 3 && token.includes(term)) return 0.5;
+
+        const max = ProjectSearch.tolerance(term);
+        if (max > 0) {
+            // Comparar también con el prefijo permite erratas mientras se escribe
+            const prefix = token.slice(0, term.length);
+            const distance = Math.min(
+                ProjectSearch.distance(term, token, max),
+                ProjectSearch.distance(term, prefix, max)
+            );
+            if (distance <= max) return 0.4 * (1 - distance / (max + 1));
+        }
+
+        return 0;
+    }
+
+    // Devuelve Map(id → { score, highlights }) con los proyectos que contienen todos los términos
+    search(query) {
+        const terms = ProjectSearch.tokenize(query);
+        const results = new Map();
+        if (terms.length === 0) return results;
+
+        this.index.forEach(entry => {
+            let total = 0;
+            const highlights = new Set();
+
+            const allMatched = terms.every(term => {
+                let best = 0;
+
+                entry.fields.forEach(field => {
+                    field.tokens.forEach(token => {
+                        const score = ProjectSearch.score(term, token);
+                        if (score > 0) {
+                            // Resaltar el término exacto o, si es una errata, la palabra completa
+                            highlights.add(token.includes(term) ? term : token);
+                            best = Math.max(best, score * field.weight);
+                        }
+                    });
+                });
+
+                total += best;
+                return best > 0;
+            });
+
+            if (allMatched) {
+                results.set(entry.id, { score: total, highlights: Array.from(highlights) });
+            }
+        });
+
+        return results;
+    }
+
+    // Envuelve en <mark> las coincidencias dentro de los nodos de texto del elemento
+    static highlight(element, terms) {
+        ProjectSearch.clearHighlight(element);
+        if (terms.length === 0) return;
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            // Normalizar carácter a carácter conserva las posiciones del texto original
+            const normalized = Array.from(text, char => ProjectSearch.normalize(char).charAt(0) || char).join('');
+            const ranges = [];
+
+            terms.forEach(term => {
+                let index = normalized.indexOf(term);
+                while (index !== -1) {
+                    ranges.push([index, index + term.length]);
+                    index = normalized.indexOf(term, index + term.length);
+                }
+            });
+
+            if (ranges.length === 0) return;
+
+            // Unir rangos solapados
+            ranges.sort((a, b) => a[0] - b[0]);
+            const merged = [ranges[0]];
+            ranges.slice(1).forEach(range => {
+                const last = merged[merged.length - 1];
+                if (range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+            });
+
+            const fragment = document.createDocumentFragment();
+            let cursor = 0;
+            merged.forEach(([start, end]) => {
+                fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                cursor = end;
+            });
+            fragment.appendChild(document.createTextNode(text.slice(cursor)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+
+    static clearHighlight(element) {
+        element.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        });
+    }
+}
+
+ProjectSearch.weights = { title: 3, tech: 2, description: 1 };
+
+// ==========================================================================
+// FILTRO DE PROYECTOS
+// ==========================================================================
+
+class ProjectFilter extends Component {
+    constructor(catalog, options = {}) {
+        super();
+        this.catalog = catalog;
+        this.scrollAnimations = options.scrollAnimations || null;
+        this.facets = ProjectFilter.emptyFacets();
+        // 'all': el proyecto debe cumplir cada faceta activa; 'any': basta con un valor
+        this.match = 'all';
+        this.search = new ProjectSearch(catalog);
+        this.query = '';
+        this.searchResults = null;
+        this.sort = 'relevance';
+        this.limit = config.projects.pageSize;
+        this.mount();
+    }
+
+    static emptyFacets() {
+        return {
+            category: new Set(),
+            tech: new Set(),
+            status: new Set(),
+            year: new Set()
+        };
+    }
+
+    init() {
+        this.setupElements();
+        this.renderFacetOptions();
+        this.bindEvents();
+        this.readFromURL();
+        this.applyFilters({ updateURL: false });
+    }
+
+    setupElements() {
+        this.filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
+        this.facetGroups = document.querySelectorAll('.filter-group[data-facet]');
+        this.matchButtons = document.querySelectorAll('[data-match]');
+        this.clearButton = document.querySelector('.filter-clear');
+        this.resultsLabel = document.querySelector('.filter-results');
+        this.searchInput = document.getElementById('project-search');
+        this.sortSelect = document.getElementById('project-sort');
+        this.loadMoreButton = document.querySelector('.projects-load-more');
+        this.projectsGrid = document.getElementById('projects-grid');
+    }
+
+    // Las tarjetas se vuelven a generar (p. ej. al cambiar de idioma), no se guardan
+    getCards() {
+        return this.projectsGrid ? this.projectsGrid.querySelectorAll('.project-card-detailed') : [];
+    }
+
+    // Valores de cada faceta para un proyecto
+    getValues(project, facet) {
+        switch (facet) {
+            case 'category': return project.categories;
+            case 'tech': return project.tech;
+            case 'status': return [project.status];
+            case 'year': return [String(project.year)];
+            default: return [];
+        }
+    }
+
+    getOptions(facet) {
+        const values = new Set();
+        this.catalog.getAll().forEach(project => {
+            this.getValues(project, facet).forEach(value => values.add(value));
+        });
+
+        const options = Array.from(values);
+        return facet === 'year'
+            ? options.sort((a, b) => b.localeCompare(a))
+            : options.sort((a, b) => a.localeCompare(b));
+    }
+
+    getOptionLabel(facet, value) {
+        if (facet === 'status') {
+            return t(value === 'in-progress' ? 'projects.status.inProgress' : 'projects.status.completed');
+        }
+        return value;
+    }
+
+    renderFacetOptions() {
+        this.facetGroups.forEach(group => {
+            const facet = group.getAttribute('data-facet');
+            const container = group.querySelector('.filter-options');
+
+            container.innerHTML = this.getOptions(facet).map(value => `
+                <button type="button" class="filter-btn filter-btn-sm" data-facet-value="${escapeHTML(value)}" aria-pressed="false">
+                    <span class="filter-label">${escapeHTML(this.getOptionLabel(facet, value))}</span>
+                </button>
+            `).join('');
+        });
+    }
+
+    bindEvents() {
+        this.filterButtons.forEach(button => {
+            this.listen(button, 'click', (e) => this.handleFilterClick(e));
+        });
+
+        this.facetGroups.forEach(group => {
+            this.listen(group, 'click', (e) => {
+                const button = e.target.closest('[data-facet-value]');
+                if (button) {
+                    this.toggle(group.getAttribute('data-facet'), button.getAttribute('data-facet-value'));
+                }
+            });
+        });
+
+        this.matchButtons.forEach(button => {
+            this.listen(button, 'click', () => {
+                this.match = button.getAttribute('data-match');
+                this.applyFilters();
+            });
+        });
+
+        if (this.clearButton) {
+            this.listen(this.clearButton, 'click', () => this.clearAll());
+        }
+
+        if (this.searchInput) {
+            this.listen(this.searchInput, 'input', this.debounce(() => {
+                this.setQuery(this.searchInput.value);
+            }, ProjectFilter.searchDelay));
+        }
+
+        if (this.sortSelect) {
+            this.listen(this.sortSelect, 'change', () => {
+                this.sort = this.sortSelect.value;
+                this.applyFilters();
+            });
+        }
+
+        if (this.loadMoreButton) {
+            this.listen(this.loadMoreButton, 'click', () => this.loadMore({ moveFocus: true }));
+            this.setupInfiniteScroll();
+        }
+
+        // Atrás/adelante restauran el filtro guardado en la URL. Los pasos hacia
+        // otra página los gestiona el enrutador, que vuelve a montar el filtro
+        const path = window.location.pathname;
+        this.listen(window, 'popstate', () => {
+            if (window.location.pathname !== path || !this.projectsGrid?.isConnected) return;
+
+            this.readFromURL();
+            this.applyFilters({ updateURL: false });
+        });
+    }
+
+    handleFilterClick(e) {
+        const filter = e.currentTarget.getAttribute('data-filter');
+
+        if (filter === 'all') {
+            this.facets.category.clear();
+            this.applyFilters();
+        } else {
+            this.toggle('category', filter);
+        }
+    }
+
+    toggle(facet, value) {
+        const values = this.facets[facet];
+        if (values.has(value)) {
+            values.delete(value);
+        } else {
+            values.add(value);
+        }
+        this.applyFilters();
+    }
+
+    setQuery(query) {
+        this.query = query.trim();
+        this.searchResults = this.query ? this.search.search(this.query) : null;
+        this.applyFilters();
+    }
+
+    clearAll() {
+        this.facets = ProjectFilter.emptyFacets();
+        this.query = '';
+        this.searchResults = null;
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+        this.applyFilters();
+    }
+
+    hasActiveFilters(facets = this.facets) {
+        return Boolean(this.query) || Object.values(facets).some(values => values.size > 0);
+    }
+
+    matches(project, facets = this.facets) {
+        const active = Object.entries(facets).filter(([, values]) => values.size > 0);
+        if (active.length === 0) return true;
+
+        if (this.match === 'any') {
+            return active.some(([facet, values]) => {
+                const projectValues = this.getValues(project, facet);
+                return Array.from(values).some(value => projectValues.includes(value));
+            });
+        }
+
+        return active.every(([facet, values]) => {
+            const projectValues = this.getValues(project, facet);
+            // Categoría y tecnología admiten varios valores por proyecto: se exigen todos.
+            // Estado y año tienen uno solo: basta con que coincida alguno.
+            return ProjectFilter.multiValued.includes(facet)
+                ? Array.from(values).every(value => projectValues.includes(value))
+                : Array.from(values).some(value => projectValues.includes(value));
+        });
+    }
+
+    // La búsqueda se combina siempre con las facetas (intersección) y ordena por relevancia
+    getResults(facets = this.facets) {
+        const results = this.catalog.filter(project => {
+            if (this.searchResults && !this.searchResults.has(project.id)) return false;
+            return this.matches(project, facets);
+        });
+
+        if (this.searchResults) {
+            results.sort((a, b) => this.searchResults.get(b.id).score - this.searchResults.get(a.id).score);
+        }
+
+        return this.sortResults(results);
+    }
+
+    // Carga automática de la siguiente página cuando el botón entra en pantalla
+    setupInfiniteScroll() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.loadMoreObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting) && !this.loadMoreButton.hidden) {
+                this.loadMore();
+
+                // El observador solo avisa al cambiar de estado: si el botón sigue
+                // dentro del margen tras pintar la página, volver a observarlo
+                // fuerza una nueva comprobación y se sigue cargando
+                if (!this.loadMoreButton.hidden) {
+                    this.loadMoreObserver.unobserve(this.loadMoreButton);
+                    this.loadMoreObserver.observe(this.loadMoreButton);
+                }
+            }
+        }, { rootMargin: '200px 0px' });
+
+        this.loadMoreObserver.observe(this.loadMoreButton);
+        this.onCleanup(() => this.loadMoreObserver.disconnect());
+    }
+
+    sortResults(results) {
+        const sorter = ProjectFilter.sorters[this.sort];
+        // Array.prototype.sort es estable: los empates conservan la relevancia
+        return sorter ? results.sort(sorter) : results;
+    }
+
+    loadMore({ moveFocus = false } = {}) {
+        const previous = this.limit;
+        this.limit += config.projects.pageSize;
+        this.applyFilters({ updateURL: false, keepPage: true });
+
+        const added = this.getResults().slice(previous, this.limit);
+        this.revealCards(added.map(project => project.id), moveFocus);
+    }
+
+    // Las tarjetas nuevas se animan a través de ScrollAnimations
+    revealCards(ids, moveFocus = false) {
+        if (ids.length === 0) return;
+
+        const cards = Array.from(this.getCards()).filter(card => ids.includes(card.getAttribute('data-project-id')));
+        if (!motion.reduced) {
+            cards.forEach(card => {
+                card.classList.remove('animated');
+                card.classList.add('slide-up');
+            });
+        }
+
+        if (this.scrollAnimations) {
+            this.scrollAnimations.refresh();
+        }
+
+        // Al pulsar el botón, el foco pasa al primer proyecto nuevo para no perderse
+        const first = cards[0]?.querySelector('a, button');
+        if (moveFocus && first) {
+            first.focus({ preventScroll: true });
+        }
+    }
+
+    // Cuántos resultados habría si se activara este valor
+    countWith(facet, value) {
+        const facets = {};
+        Object.entries(this.facets).forEach(([key, values]) => {
+            facets[key] = new Set(values);
+        });
+
+        if (facet === 'category' && value === 'all') {
+            facets.category.clear();
+        } else {
+            facets[facet].add(value);
+        }
+
+        return this.getResults(facets).length;
+    }
+
+    applyFilters({ updateURL = true, keepPage = false } = {}) {
+        // Cualquier cambio de filtro u orden vuelve a la primera página
+        if (!keepPage) {
+            this.limit = config.projects.pageSize;
+        }
+
+        const results = this.getResults();
+        const page = results.slice(0, this.limit);
+        const visibleIds = new Set(page.map(project => project.id));
+
+        this.orderCards(results);
+
+        this.getCards().forEach(card => {
+            const id = card.getAttribute('data-project-id');
+            const shouldShow = visibleIds.has(id);
+            this.highlightCard(card, this.searchResults?.get(id)?.highlights || []);
+
+            // Con movimiento reducido se muestra u oculta sin transición
+            if (motion.reduced) {
+                card.classList.toggle('hidden', !shouldShow);
+                card.style.display = shouldShow ? 'block' : 'none';
+                card.style.opacity = shouldShow ? '1' : '0';
+                card.style.transform = '';
+                return;
+            }
+
+            if (shouldShow) {
+                card.classList.remove('hidden');
+                card.style.display = 'block';
+                this.setTimer(() => {
+                    card.style.opacity = '1';
+                    card.style.transform = 'scale(1)';
+                }, 50);
+            } else {
+                card.style.opacity = '0';
+                card.style.transform = 'scale(0.8)';
+                this.setTimer(() => {
+                    card.classList.add('hidden');
+                    card.style.display = 'none';
+                }, config.animationDuration);
+            }
+        });
 
         // Re-layout grid
-        setTimeout(() => {
+        this.setTimer(() => {
             if (this.projectsGrid) {
                 this.projectsGrid.style.height = 'auto';
             }
         }, config.animationDuration);
+
+        this.updateControls(results.length, page.length);
+
+        if (updateURL) {
+            this.writeToURL();
+        }
+
+        this.emitChange(results.length, !updateURL);
+    }
+
+    // Solo cuando cambia el criterio (no al cargar más ni al volver a pintar)
+    emitChange(results, fromURL) {
+        const facets = {};
+        Object.entries(this.facets).forEach(([facet, values]) => {
+            facets[facet] = Array.from(values);
+        });
+
+        const state = { facets, match: this.match, query: this.query, sort: this.sort };
+        const signature = JSON.stringify(state);
+        if (signature === this.lastSignature) return;
+        this.lastSignature = signature;
+
+        events.emit('filter:changed', {
+            ...state,
+            results,
+            total: this.catalog.getAll().length,
+            fromURL
+        });
+    }
+
+    // Las tarjetas siguen el orden de los resultados; las ocultas, el del catálogo
+    orderCards(results) {
+        if (!this.projectsGrid) return;
+
+        const order = results.concat(this.catalog.getAll().filter(project => !results.includes(project)));
+        const cards = new Map(Array.from(this.getCards(), card => [card.getAttribute('data-project-id'), card]));
+
+        order.forEach(project => {
+            const card = cards.get(project.id);
+            if (card) {
+                this.projectsGrid.appendChild(card);
+            }
+        });
+    }
+
+    highlightCard(card, terms) {
+        card.querySelectorAll('h3, .project-content > p, .project-tech span').forEach(element => {
+            ProjectSearch.highlight(element, terms);
+        });
+    }
+
+    updateControls(resultCount, shownCount) {
+        this.filterButtons.forEach(button => {
+            const value = button.getAttribute('data-filter');
+            const isActive = value === 'all' ? this.facets.category.size === 0 : this.facets.category.has(value);
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+            this.setCount(button, this.countWith('category', value));
+        });
+
+        this.facetGroups.forEach(group => {
+            const facet = group.getAttribute('data-facet');
+            group.querySelectorAll('[data-facet-value]').forEach(button => {
+                const value = button.getAttribute('data-facet-value');
+                const isActive = this.facets[facet].has(value);
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', String(isActive));
+                this.setCount(button, this.countWith(facet, value));
+            });
+        });
+
+        this.matchButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-match') === this.match));
+        });
+
+        if (this.clearButton) {
+            this.clearButton.disabled = !this.hasActiveFilters();
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.value = this.sort;
+        }
+
+        if (this.loadMoreButton) {
+            this.loadMoreButton.hidden = shownCount >= resultCount;
+        }
+
+        if (this.resultsLabel) {
+            this.resultsLabel.textContent = shownCount < resultCount
+                ? t('projects.resultsPaged', { shown: shownCount, count: resultCount })
+                : t('projects.results', { count: resultCount });
+        }
+    }
+
+    setCount(button, count) {
+        let badge = button.querySelector('.filter-count');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'filter-count';
+            button.appendChild(badge);
+        }
+        badge.textContent = count;
+    }
+
+    // ?category=web,frontend&tech=React&status=completed&year=2024&match=any
+    writeToURL() {
+        const url = new URL(window.location.href);
+
+        Object.entries(this.facets).forEach(([facet, values]) => {
+            if (values.size > 0) {
+                url.searchParams.set(facet, Array.from(values).join(','));
+            } else {
+                url.searchParams.delete(facet);
+            }
+        });
+
+        if (this.match === 'any') {
+            url.searchParams.set('match', 'any');
+        } else {
+            url.searchParams.delete('match');
+        }
+
+        if (this.query) {
+            url.searchParams.set('q', this.query);
+        } else {
+            url.searchParams.delete('q');
+        }
+
+        if (this.sort !== 'relevance') {
+            url.searchParams.set('sort', this.sort);
+        } else {
+            url.searchParams.delete('sort');
+        }
+
+        if (url.href === window.location.href) return;
+
+        // Facetas y modo de coincidencia crean entrada en el historial; la
+        // búsqueda y el orden solo la reemplazan para no llenar el botón Atrás
+        const current = new URLSearchParams(window.location.search);
+        const historyKeys = [...Object.keys(this.facets), 'match'];
+        const changesHistory = historyKeys.some(key => current.get(key) !== url.searchParams.get(key));
+
+        if (changesHistory) {
+            history.pushState(history.state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    readFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        this.facets = ProjectFilter.emptyFacets();
+
+        Object.keys(this.facets).forEach(facet => {
+            const value = params.get(facet);
+            if (value) {
+                value.split(',').filter(Boolean).forEach(item => this.facets[facet].add(item));
+            }
+        });
+
+        this.match = params.get('match') === 'any' ? 'any' : 'all';
+
+        const sort = params.get('sort');
+        this.sort = sort && ProjectFilter.sorters[sort] ? sort : 'relevance';
+
+        this.query = (params.get('q') || '').trim();
+        this.searchResults = this.query ? this.search.search(this.query) : null;
+        if (this.searchInput) {
+            this.searchInput.value = this.query;
+        }
+    }
+
+    // Compatibilidad: filtrar por una sola categoría ('all' para quitar el filtro)
+    filterProjects(filter) {
+        this.facets.category = new Set(filter === 'all' ? [] : [filter]);
+        this.applyFilters();
+    }
+
+    // Volver a aplicar los filtros tras regenerar las tarjetas o cambiar de idioma
+    refresh() {
+        this.search.build();
+        this.searchResults = this.query ? this.search.search(this.query) : null;
+        this.renderFacetOptions();
+        this.applyFilters({ updateURL: false, keepPage: true });
+    }
+}
+
+ProjectFilter.multiValued = ['category', 'tech'];
+ProjectFilter.searchDelay = 250;
+
+// 'relevance' no tiene comparador: conserva el orden del catálogo o el ranking de la búsqueda
+ProjectFilter.sorters = {
+    newest: (a, b) => b.year - a.year,
+    oldest: (a, b) => a.year - b.year,
+    alphabetical: (a, b) => a.title.localeCompare(b.title, i18n.language),
+    // Primero los proyectos en curso
+    status: (a, b) => Number(a.status === 'completed') - Number(b.status === 'completed')
+};
+
+// ==========================================================================
+// DETALLE DE PROYECTO
+// ==========================================================================
+
+// Ventana modal con el caso de estudio; se abre con el hash #project/<id>
+class ProjectModal extends Component {
+    constructor(catalog, renderer, options = {}) {
+        super();
+        this.catalog = catalog;
+        this.renderer = renderer;
+        this.filter = options.filter || null;
+        this.lightbox = options.lightbox || null;
+        this.lazyLoader = options.lazyLoader || null;
+        this.project = null;
+        this.imageIndex = 0;
+        this.previousFocus = null;
+        this.mount();
+    }
+
+    get isOpen() {
+        return this.project !== null;
+    }
+
+    init() {
+        this.createElements();
+        this.bindEvents();
+        this.handleHashChange();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'project-modal';
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="project-modal-backdrop" data-modal-close></div>
+            <div class="project-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="project-modal-title" tabindex="-1">
+                <button type="button" class="project-modal-close" data-modal-close>&times;</button>
+                <div class="project-modal-body"></div>
+                <div class="project-modal-nav">
+                    <button type="button" class="project-modal-prev" data-modal-step="-1">&larr; <span></span></button>
+                    <span class="project-modal-position" aria-live="polite"></span>
+                    <button type="button" class="project-modal-next" data-modal-step="1"><span></span> &rarr;</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+        // El modal vive fuera de <main>: hay que retirarlo al desmontar
+        this.onCleanup(() => {
+            this.project = null;
+            document.body.classList.remove('modal-open');
+            this.element.remove();
+        });
+
+        this.dialog = this.element.querySelector('.project-modal-dialog');
+        this.body = this.element.querySelector('.project-modal-body');
+        this.closeButton = this.element.querySelector('.project-modal-close');
+        this.prevButton = this.element.querySelector('.project-modal-prev');
+        this.nextButton = this.element.querySelector('.project-modal-next');
+        this.position = this.element.querySelector('.project-modal-position');
+    }
+
+    bindEvents() {
+        this.listen(window, 'hashchange', () => this.handleHashChange());
+
+        this.listen(this.element, 'click', (e) => {
+            if (e.target.closest('[data-modal-close]')) {
+                this.close();
+                return;
+            }
+
+            const step = e.target.closest('[data-modal-step]');
+            if (step) {
+                this.step(Number(step.getAttribute('data-modal-step')));
+                return;
+            }
+
+            const thumb = e.target.closest('[data-image-index]');
+            if (thumb) {
+                this.showImage(Number(thumb.getAttribute('data-image-index')));
+                return;
+            }
+
+            const zoom = e.target.closest('.project-modal-zoom');
+            if (zoom && this.lightbox) {
+                const items = this.project.images.map(image => ({
+                    src: image.src,
+                    alt: localize(image.alt) || this.project.title
+                }));
+                this.lightbox.open(items, this.imageIndex, zoom);
+            }
+        });
+
+        // Escape llega por el bus; si el visor de imágenes está encima, se cierra él primero
+        this.subscribe('ui:escape', (detail) => {
+            if (detail.handled || !this.isOpen || this.lightbox?.isOpen) return;
+            detail.handled = true;
+            this.close();
+        });
+
+        this.listen(this.dialog, 'keydown', (e) => this.handleKeydown(e));
+
+        this.onCleanup(i18n.onChange(() => {
+            if (this.isOpen) {
+                this.render();
+            }
+        }));
+    }
+
+    static parseHash(hash) {
+        const match = /^#project\/(.+)$/.exec(hash);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    handleHashChange() {
+        const id = ProjectModal.parseHash(window.location.hash);
+        const project = id ? this.catalog.getById(id) : null;
+
+        if (project) {
+            this.show(project);
+        } else if (this.isOpen) {
+            this.hide();
+        }
+    }
+
+    // Abrir cambiando el hash para que la vista se pueda compartir
+    open(id) {
+        const hash = `#project/${encodeURIComponent(id)}`;
+        if (window.location.hash === hash) {
+            this.handleHashChange();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    // Quitar el hash sin añadir otra entrada al historial
+    close() {
+        if (!this.isOpen) return;
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+        this.hide();
+    }
+
+    show(project) {
+        if (!this.isOpen) {
+            this.previousFocus = document.activeElement;
+        }
+
+        this.project = project;
+        this.imageIndex = 0;
+        this.render();
+
+        this.element.hidden = false;
+        document.body.classList.add('modal-open');
+        this.dialog.focus();
+    }
+
+    hide() {
+        const id = this.project.id;
+        this.project = null;
+        this.element.hidden = true;
+        document.body.classList.remove('modal-open');
+
+        // Vaciar el contenido detiene las demos y LazyLoader deja de observarlas
+        this.body.replaceChildren();
+        if (this.lazyLoader) {
+            this.lazyLoader.refresh();
+        }
+
+        // Si la tarjeta se regeneró mientras tanto (p. ej. cambio de idioma), volver a su enlace
+        const restorable = this.previousFocus && this.previousFocus !== document.body && document.contains(this.previousFocus);
+        const card = Array.from(document.querySelectorAll('[data-project-id]'))
+            .find(element => element.getAttribute('data-project-id') === id);
+        const target = restorable ? this.previousFocus : card?.querySelector('.project-title-link');
+
+        if (target) {
+            target.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    // Proyectos que el usuario tiene filtrados, en el mismo orden que la rejilla
+    getSequence() {
+        const results = this.filter ? this.filter.getResults() : this.catalog.getAll();
+        return results.some(project => project.id === this.project.id) ? results : this.catalog.getAll();
+    }
+
+    step(direction) {
+        const sequence = this.getSequence();
+        if (sequence.length < 2) return;
+
+        const index = sequence.findIndex(project => project.id === this.project.id);
+        const next = sequence[(index + direction + sequence.length) % sequence.length];
+
+        history.replaceState(history.state, '', `#project/${encodeURIComponent(next.id)}`);
+        this.project = next;
+        this.imageIndex = 0;
+        this.render();
+    }
+
+    showImage(index) {
+        this.imageIndex = index;
+        this.renderGallery();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Tab') {
+            this.trapFocus(e);
+        } else if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.step(-1);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this.step(1);
+        }
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.dialog.querySelectorAll(
+            'a[href], button:not([disabled]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => !element.hidden && element.offsetParent !== null);
+
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    render() {
+        const project = this.project;
+        const statusKey = project.status === 'in-progress' ? 'projects.status.inProgress' : 'projects.status.completed';
+        const caseStudy = project.caseStudy
+            ? ['challenge', 'solution', 'results']
+                .filter(section => project.caseStudy[section])
+                .map(section => `
+                    <section class="project-modal-section">
+                        <h3>${escapeHTML(t(`modal.${section}`))}</h3>
+                        <p>${escapeHTML(localize(project.caseStudy[section]))}</p>
+                    </section>
+                `).join('')
+            : '';
+
+        this.body.innerHTML = `
+            <header class="project-modal-header">
+                <h2 id="project-modal-title">${escapeHTML(project.title)}</h2>
+                <div class="project-meta">
+                    <span class="project-date">${escapeHTML(project.year)}</span>
+                    <span class="project-status ${escapeHTML(project.status)}">${escapeHTML(t(statusKey))}</span>
+                </div>
+            </header>
+            <div class="project-modal-gallery" aria-label="${escapeHTML(t('modal.gallery'))}"></div>
+            <p class="project-modal-description">${escapeHTML(localize(project.description))}</p>
+            ${caseStudy}
+            ${this.renderEmbeds()}
+            <section class="project-modal-section">
+                <h3>${escapeHTML(t('modal.tech'))}</h3>
+                ${this.renderer.renderTech(project.tech)}
+            </section>
+            <div class="project-modal-links">
+                ${project.links.map(link => this.renderer.renderLink(link)).join('')}
+            </div>
+        `;
+
+        this.closeButton.setAttribute('aria-label', t('modal.close'));
+        this.renderGallery();
+        this.renderNav();
+
+        // Los iframes y vídeos de la demo se cargan a través de LazyLoader
+        if (this.lazyLoader) {
+            this.lazyLoader.refresh();
+        }
+    }
+
+    renderEmbeds() {
+        const embeds = this.project.embeds;
+        if (embeds.length === 0) return '';
+
+        const items = embeds.map(embed => {
+            const title = escapeHTML(localize(embed.title) || this.project.title);
+            const poster = embed.poster ? ` data-poster="${escapeHTML(embed.poster)}"` : '';
+
+            if (embed.type === 'video') {
+                return `
+                    <video class="project-modal-embed" data-src="${escapeHTML(embed.src)}"${poster} title="${title}"
+                        controls muted loop playsinline data-autoplay></video>
+                `;
+            }
+
+            return `
+                <div class="project-modal-embed">
+                    <iframe data-src="${escapeHTML(embed.src)}"${poster} title="${title}" allowfullscreen></iframe>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <section class="project-modal-section">
+                <h3>${escapeHTML(t('modal.demo'))}</h3>
+                ${items}
+            </section>
+        `;
+    }
+
+    renderGallery() {
+        const gallery = this.body.querySelector('.project-modal-gallery');
+        const images = this.project.images;
+
+        if (images.length === 0) {
+            gallery.hidden = true;
+            return;
+        }
+
+        const current = images[this.imageIndex];
+        const thumbs = images.length > 1
+            ? `<div class="project-modal-thumbs">${images.map((image, index) => `
+                <button type="button" class="project-modal-thumb${index === this.imageIndex ? ' active' : ''}" data-image-index="${index}"
+                    aria-label="${escapeHTML(t('modal.showImage', { index: index + 1 }))}" aria-pressed="${index === this.imageIndex}">
+                    <img src="${escapeHTML(image.src)}" alt="">
+                </button>
+            `).join('')}</div>`
+            : '';
+
+        const image = `<img class="project-modal-image" src="${escapeHTML(current.src)}" alt="${escapeHTML(localize(current.alt) || this.project.title)}">`;
+
+        gallery.innerHTML = `
+            ${this.lightbox
+                ? `<button type="button" class="project-modal-zoom" aria-label="${escapeHTML(t('lightbox.open'))}">${image}</button>`
+                : image}
+            ${thumbs}
+        `;
+    }
+
+    renderNav() {
+        const sequence = this.getSequence();
+        const index = sequence.findIndex(project => project.id === this.project.id);
+        const hasSiblings = sequence.length > 1;
+
+        this.prevButton.hidden = !hasSiblings;
+        this.nextButton.hidden = !hasSiblings;
+        this.position.textContent = t('modal.position', { current: index + 1, total: sequence.length });
+
+        if (hasSiblings) {
+            const prev = sequence[(index - 1 + sequence.length) % sequence.length];
+            const next = sequence[(index + 1) % sequence.length];
+            this.prevButton.querySelector('span').textContent = prev.title;
+            this.nextButton.querySelector('span').textContent = next.title;
+            this.prevButton.setAttribute('aria-label', `${t('modal.previous')}: ${prev.title}`);
+            this.nextButton.setAttribute('aria-label', `${t('modal.next')}: ${next.title}`);
+        }
+    }
+}
+
+// ==========================================================================
+// VISTA DE PROYECTOS
+// ==========================================================================
+
+// Catálogo pintado en un contenedor: rejilla completa (data-view="grid") o
+// destacados del inicio (data-view="featured"). data-filterable añade el
+// filtro de la página y data-details el detalle en ventana modal.
+class ProjectsView extends Component {
+    constructor(element, app, options = {}) {
+        super();
+        this.element = element;
+        this.app = app;
+        this.options = {
+            view: options.view === 'featured' ? 'featured' : 'grid',
+            filterable: options.filterable === true,
+            details: options.details === true
+        };
+        this.mount();
+    }
+
+    init() {
+        this.catalog = new ProjectCatalog(config.projects.source);
+        this.renderer = new ProjectRenderer(this.catalog, this.options.view === 'featured'
+            ? { grid: null, preview: this.element }
+            : { grid: this.element, preview: null });
+        this.filter = null;
+        this.modal = null;
+        this.load();
+    }
+
+    async load() {
+        const catalog = this.catalog;
+
+        try {
+            await catalog.load();
+        } catch (error) {
+            if (this.catalog === catalog) {
+                this.renderer.renderError(error);
+            }
+            return;
+        }
+
+        // Desmontada mientras se cargaba (p. ej. el usuario ya cambió de página)
+        if (!this.mounted || this.catalog !== catalog) return;
+
+        const { lazyLoader, scrollAnimations, lightbox } = this.app.components;
+
+        this.register('projectCatalog', catalog);
+        this.renderer.render();
+        lazyLoader.refresh();
+
+        if (this.options.filterable) {
+            this.filter = this.register('projectFilter', new ProjectFilter(catalog, { scrollAnimations }));
+        }
+
+        // Detalle de proyecto enlazable por hash (#project/<id>)
+        if (this.options.details) {
+            this.modal = this.register('projectModal', new ProjectModal(catalog, this.renderer, {
+                filter: this.filter,
+                lightbox,
+                lazyLoader
+            }));
+        }
+
+        this.onCleanup(i18n.onChange(() => {
+            this.renderer.render();
+            lazyLoader.refresh();
+            this.filter?.refresh();
+            scrollAnimations.refresh();
+        }));
+
+        scrollAnimations.refresh();
+    }
+
+    // Filtro, modal y catálogo siguen accesibles con sus nombres de siempre
+    register(name, component) {
+        this.app.registerComponent(name, component);
+        this.onCleanup(() => {
+            if (this.app.getComponent(name) === component) {
+                this.app.unregisterComponent(name);
+            } else {
+                component.destroy?.();
+            }
+        });
+        return component;
+    }
+}
+
+// ==========================================================================
+// TRANSPORTES DEL FORMULARIO DE CONTACTO
+// ==========================================================================
+
+class SubmissionError extends Error {
+    constructor(message, { type = 'server', status = 0, fieldErrors = {} } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        // 'validation' (4xx), 'server' (5xx), 'network' o 'timeout'
+        this.type = type;
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+class FetchTransport {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+        this.method = options.method || 'POST';
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+    }
+
+    async send(payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            const hasFiles = Array.isArray(payload.attachments) && payload.attachments.length > 0;
+            // Con adjuntos se envía multipart; el navegador fija el boundary
+            const headers = hasFiles
+                ? { 'Accept': 'application/json', ...this.headers }
+                : { 'Content-Type': 'application/json', 'Accept': 'application/json', ...this.headers };
+
+            response = await fetch(this.endpoint, {
+                method: this.method,
+                headers,
+                body: hasFiles ? this.toFormData(payload) : JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new SubmissionError(t('submission.timeout'), { type: 'timeout' });
+            }
+            throw new SubmissionError(t('submission.network'), { type: 'network' });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await this.parseBody(response);
+
+        if (response.ok) {
+            return body;
+        }
+
+        if (response.status >= 400 && response.status < 500) {
+            throw new SubmissionError(body?.message || t('submission.validation'), {
+                type: 'validation',
+                status: response.status,
+                fieldErrors: this.normalizeFieldErrors(body?.errors)
+            });
+        }
+
+        throw new SubmissionError(t('submission.server'), {
+            type: 'server',
+            status: response.status
+        });
+    }
+
+    toFormData(payload) {
+        const formData = new FormData();
+
+        Object.entries(payload).forEach(([key, value]) => {
+            if (key === 'attachments') {
+                value.forEach(file => formData.append('attachments', file, file.name));
+            } else if (value !== null && typeof value === 'object') {
+                formData.append(key, JSON.stringify(value));
+            } else if (value !== undefined && value !== null) {
+                formData.append(key, String(value));
+            }
+        });
+
+        return formData;
+    }
+
+    async parseBody(response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('application/json')) {
+            return null;
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Acepta { campo: 'mensaje' } o [{ field, message }]
+    normalizeFieldErrors(errors) {
+        if (!errors) return {};
+
+        if (Array.isArray(errors)) {
+            return errors.reduce((result, error) => {
+                if (error && error.field) {
+                    result[error.field] = error.message;
+                }
+                return result;
+            }, {});
+        }
+
+        return typeof errors === 'object' ? errors : {};
+    }
+}
+
+class MailtoTransport {
+    constructor(options = {}) {
+        this.address = options.mailtoAddress;
+    }
+
+    async send(payload) {
+        const lines = [
+            payload.message,
+            '',
+            `— ${payload.name} <${payload.email}>`
+        ];
+
+        if (payload.budget) {
+            lines.push(t('submission.mailBudget', { budget: payload.budget }));
+        }
+
+        // mailto: no admite archivos; al menos dejar constancia de ellos
+        if (payload.attachments?.length) {
+            lines.push(t('submission.mailAttachments', { files: payload.attachments.map(file => file.name).join(', ') }));
+        }
+
+        const params = new URLSearchParams({
+            subject: payload.subject,
+            body: lines.join('\n')
+        }).toString().replace(/\+/g, '%20');
+
+        window.location.href = `mailto:${this.address}?${params}`;
+        return { delivered: false, via: 'mailto' };
+    }
+}
+
+// Registro de transportes disponibles; se pueden añadir otros desde fuera
+const contactTransports = {
+    fetch: FetchTransport,
+    mailto: MailtoTransport
+};
+
+// ==========================================================================
+// BANDEJA DE SALIDA (OFFLINE) DEL FORMULARIO
+// ==========================================================================
+
+class IndexedDBStore {
+    constructor(dbName = 'portfolio', storeName = 'contact-outbox') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.type = 'indexeddb';
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return 'indexedDB' in window && window.indexedDB !== null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    put(entry) {
+        return this.request('readwrite', store => store.put(entry));
+    }
+
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+class LocalStorageStore {
+    constructor(key = 'contactOutbox') {
+        this.key = key;
+        this.type = 'localstorage';
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    write(entries) {
+        localStorage.setItem(this.key, JSON.stringify(entries));
+    }
+
+    async getAll() {
+        return this.read();
+    }
+
+    async put(entry) {
+        // localStorage solo guarda texto: los adjuntos no sobreviven
+        if (entry.payload.attachments?.length) {
+            console.warn('Los adjuntos no se pueden guardar sin IndexedDB y se descartarán');
+            entry = { ...entry, payload: { ...entry.payload, attachments: undefined } };
+        }
+
+        const entries = this.read().filter(item => item.id !== entry.id);
+        entries.push(entry);
+        this.write(entries);
+    }
+
+    async delete(id) {
+        this.write(this.read().filter(item => item.id !== id));
+    }
+}
+
+class ContactOutbox {
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.options = {
+            baseDelay: options.baseDelay || 5000,
+            maxDelay: options.maxDelay || 300000,
+            maxAttempts: options.maxAttempts || 8,
+            onChange: options.onChange || (() => {}),
+            onSent: options.onSent || (() => {}),
+            onFailed: options.onFailed || (() => {})
+        };
+
+        this.store = options.store || ContactOutbox.createStore();
+        this.flushing = false;
+        this.retryTimer = null;
+        this.status = {
+            storage: this.store.type,
+            pending: 0,
+            flushing: false,
+            nextRetryAt: null,
+            lastError: null
+        };
+
+        this.init();
+    }
+
+    static createStore() {
+        return IndexedDBStore.isSupported() ? new IndexedDBStore() : new LocalStorageStore();
+    }
+
+    init() {
+        this.handleOnline = () => this.flush();
+        window.addEventListener('online', this.handleOnline);
+
+        // Reenviar lo que haya quedado pendiente de visitas anteriores
+        this.flush();
+    }
+
+    // Contenido del mensaje en forma canónica (también lo firma la prueba de trabajo).
+    // La prueba lleva marca de tiempo, así que queda fuera
+    static serialize(payload) {
+        const keys = Object.keys(payload).filter(key => key !== 'proofOfWork').sort();
+        return JSON.stringify(keys.map(key => {
+            const value = key === 'attachments' && Array.isArray(payload[key])
+                ? payload[key].map(file => `${file.name}:${file.size}:${file.lastModified}`)
+                : payload[key];
+            return [key, value];
+        }));
+    }
+
+    // Identificador estable para que mensajes idénticos no se dupliquen
+    static hash(payload) {
+        const text = ContactOutbox.serialize(payload);
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `msg-${(hash >>> 0).toString(36)}`;
+    }
+
+    async enqueue(payload) {
+        const id = ContactOutbox.hash(payload);
+        const entries = await this.readEntries();
+        const existing = entries.find(entry => entry.id === id);
+
+        if (!existing) {
+            await this.store.put({
+                id,
+                payload,
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: Date.now()
+            });
+        }
+
+        await this.refreshStatus();
+        this.scheduleRetry();
+        return id;
+    }
+
+    async flush() {
+        if (this.flushing || !navigator.onLine) {
+            return;
+        }
+
+        this.flushing = true;
+        this.updateStatus({ flushing: true });
+
+        try {
+            const entries = await this.readEntries();
+            const now = Date.now();
+
+            for (const entry of entries) {
+                if (entry.nextAttemptAt > now) continue;
+                await this.deliver(entry);
+            }
+        } finally {
+            this.flushing = false;
+            await this.refreshStatus();
+            this.scheduleRetry();
+        }
+    }
+
+    async deliver(entry) {
+        try {
+            await this.transport.send(entry.payload);
+            await this.store.delete(entry.id);
+            this.updateStatus({ lastError: null });
+            this.options.onSent(entry);
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            const retryable = !(error instanceof SubmissionError) || error.type !== 'validation';
+
+            if (retryable && attempts < this.options.maxAttempts) {
+                // Backoff exponencial con un poco de aleatoriedad
+                const delay = Math.min(this.options.baseDelay * 2 ** entry.attempts, this.options.maxDelay);
+                const jitter = Math.random() * delay * 0.2;
+                await this.store.put({ ...entry, attempts, nextAttemptAt: Date.now() + delay + jitter });
+            } else {
+                await this.store.delete(entry.id);
+                this.options.onFailed(entry, error);
+            }
+
+            this.updateStatus({ lastError: error.message });
+        }
+    }
+
+    // Los mensajes pendientes se quedan guardados para la próxima visita
+    destroy() {
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        this.readEntries().then(entries => {
+            if (entries.length === 0) {
+                this.updateStatus({ nextRetryAt: null });
+                return;
+            }
+
+            const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+            this.updateStatus({ nextRetryAt: nextAttemptAt });
+            this.retryTimer = setTimeout(() => this.flush(), Math.max(nextAttemptAt - Date.now(), 0));
+        });
+    }
+
+    async readEntries() {
+        try {
+            return await this.store.getAll();
+        } catch (error) {
+            console.warn('No se pudo leer la bandeja de salida:', error);
+            return [];
+        }
+    }
+
+    async refreshStatus() {
+        const entries = await this.readEntries();
+        this.updateStatus({ pending: entries.length, flushing: this.flushing });
+    }
+
+    updateStatus(changes) {
+        this.status = { ...this.status, ...changes };
+        this.options.onChange(this.getStatus());
+    }
+
+    getStatus() {
+        return { ...this.status };
+    }
+}
+
+// ==========================================================================
+// PROTECCIÓN ANTI-SPAM DEL FORMULARIO
+// ==========================================================================
+
+class SpamGuard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            honeypotField: options.honeypotField || 'website',
+            minFillTime: options.minFillTime ?? 3000,
+            rateLimit: options.rateLimit || { max: 3, window: 3600000 },
+            powDifficulty: options.powDifficulty ?? 3,
+            powMaxNonce: options.powMaxNonce ?? 200000,
+            powTimeout: options.powTimeout ?? 5000,
+            storageKey: options.storageKey || 'contactSubmissions'
+        };
+
+        this.resetTimer();
+    }
+
+    resetTimer() {
+        this.renderedAt = Date.now();
+    }
+
+    // Devuelve { ok: true } o el motivo del rechazo para mostrarlo en la UI
+    check() {
+        const honeypot = this.form.querySelector(`[name="${this.options.honeypotField}"]`);
+        if (honeypot && honeypot.value.trim()) {
+            return {
+                ok: false,
+                reason: 'honeypot',
+                message: t('spam.honeypot')
+            };
+        }
+
+        if (Date.now() - this.renderedAt < this.options.minFillTime) {
+            return {
+                ok: false,
+                reason: 'too-fast',
+                field: 'message',
+                message: t('spam.tooFast')
+            };
+        }
+
+        const recent = this.getRecentSubmissions();
+        if (recent.length >= this.options.rateLimit.max) {
+            const retryIn = Math.ceil((recent[0] + this.options.rateLimit.window - Date.now()) / 60000);
+            return {
+                ok: false,
+                reason: 'rate-limit',
+                message: t('spam.rateLimit', { count: retryIn })
+            };
+        }
+
+        return { ok: true };
+    }
+
+    getRecentSubmissions() {
+        const since = Date.now() - this.options.rateLimit.window;
+
+        try {
+            const timestamps = JSON.parse(localStorage.getItem(this.options.storageKey)) || [];
+            return timestamps.filter(timestamp => timestamp > since).sort((a, b) => a - b);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    recordSubmission() {
+        const timestamps = this.getRecentSubmissions();
+        timestamps.push(Date.now());
+
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(timestamps));
+        } catch (error) {
+            console.warn('No se pudo registrar el envío:', error);
+        }
+
+        this.resetTimer();
+    }
+
+    // Prueba de trabajo: buscar un nonce cuyo SHA-256 empiece por N ceros
+    // El reto incluye el SHA-256 del mensaje (ContactOutbox.serialize), así que la
+    // prueba no sirve para otro contenido. Con límite de intentos y de tiempo: se
+    // resuelve mientras se muestra el indicador de carga
+    async createProof(payload) {
+        if (!window.crypto?.subtle || !window.TextEncoder) {
+            return null;
+        }
+
+        const { powDifficulty, powMaxNonce, powTimeout } = this.options;
+        const timestamp = Date.now();
+        const prefix = '0'.repeat(powDifficulty);
+        const message = await SpamGuard.sha256(ContactOutbox.serialize(payload));
+
+        for (let nonce = 0; nonce <= powMaxNonce; nonce++) {
+            const hash = await SpamGuard.sha256(`${timestamp}:${message}:${nonce}`);
+
+            if (hash.startsWith(prefix)) {
+                return { timestamp, message, nonce, hash, difficulty: powDifficulty };
+            }
+
+            if (Date.now() - timestamp > powTimeout) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    static async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+}
+
+// ==========================================================================
+// MOTOR DE VALIDACIÓN DE FORMULARIOS
+// ==========================================================================
+
+class FormValidator {
+    constructor(form, schema = {}, options = {}) {
+        this.form = form;
+        this.schema = {
+            fields: schema.fields || {},
+            rules: schema.rules || []
+        };
+        this.locale = options.locale || null;
+    }
+
+    getLocale() {
+        return this.locale || i18n.language;
+    }
+
+    getFieldNames() {
+        const names = new Set(Object.keys(this.schema.fields));
+        this.form.querySelectorAll('input[name], textarea[name], select[name]').forEach(input => {
+            names.add(input.name);
+        });
+        return Array.from(names);
+    }
+
+    getInput(name) {
+        return this.form.querySelector(`[name="${name}"]`);
+    }
+
+    getValues() {
+        const values = {};
+        this.getFieldNames().forEach(name => {
+            const input = this.getInput(name);
+            if (!input) return;
+            values[name] = input.type === 'checkbox' ? input.checked : input.value.trim();
+        });
+        return values;
+    }
+
+    // Combina las reglas declaradas en el HTML con las del esquema JS
+    getFieldRules(name) {
+        const input = this.getInput(name);
+        const fromSchema = this.schema.fields[name] || {};
+        const rules = {};
+
+        if (input) {
+            if (input.hasAttribute('required')) rules.required = true;
+            if (input.type === 'email') rules.email = true;
+            if (input.hasAttribute('minlength')) rules.minlength = parseInt(input.getAttribute('minlength'), 10);
+            if (input.hasAttribute('maxlength')) rules.maxlength = parseInt(input.getAttribute('maxlength'), 10);
+            if (input.hasAttribute('pattern')) rules.pattern = input.getAttribute('pattern');
+        }
+
+        ['required', 'email', 'minlength', 'maxlength', 'pattern'].forEach(rule => {
+            if (fromSchema[rule] !== undefined) rules[rule] = fromSchema[rule];
+        });
+
+        return {
+            rules,
+            validators: fromSchema.validators || [],
+            messages: fromSchema.messages || {}
+        };
+    }
+
+    message(rule, params = {}, name = null, override = null) {
+        const input = name && this.getInput(name);
+        const template = input?.getAttribute(`data-msg-${rule}`) || override;
+
+        if (template) {
+            return I18n.interpolate(template, params);
+        }
+
+        const key = translations.es[`validation.${rule}`] ? `validation.${rule}` : 'validation.invalid';
+        return i18n.translate(this.getLocale(), key, params);
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === '' || value === false;
+    }
+
+    // Solo las reglas declarativas (HTML y esquema), sin validadores propios:
+    // es la parte síncrona que usa validateForm()
+    checkRules(name, values = this.getValues()) {
+        const { rules, messages } = this.getFieldRules(name);
+        const value = values[name];
+
+        if (rules.required && FormValidator.isEmpty(value)) {
+            return this.message('required', {}, name, messages.required);
+        }
+
+        if (!FormValidator.isEmpty(value)) {
+            const text = String(value);
+
+            if (rules.email && !FormValidator.patterns.email.test(text)) {
+                return this.message('email', {}, name, messages.email);
+            }
+
+            if (rules.minlength && text.length < rules.minlength) {
+                return this.message('minlength', { min: rules.minlength }, name, messages.minlength);
+            }
+
+            if (rules.maxlength && text.length > rules.maxlength) {
+                return this.message('maxlength', { max: rules.maxlength }, name, messages.maxlength);
+            }
+
+            if (rules.pattern) {
+                const pattern = rules.pattern instanceof RegExp ? rules.pattern : new RegExp(`^(?:${rules.pattern})$`);
+                if (!pattern.test(text)) {
+                    return this.message('pattern', {}, name, messages.pattern);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Devuelve el mensaje de error del campo o null si es válido
+    async validateField(name, values = this.getValues()) {
+        const ruleError = this.checkRules(name, values);
+        if (ruleError) {
+            return ruleError;
+        }
+
+        const { validators } = this.getFieldRules(name);
+        const value = values[name];
+
+        if (!FormValidator.isEmpty(value)) {
+            // Validadores propios, pueden ser asíncronos
+            for (const validator of validators) {
+                const result = await validator.test(value, values);
+                if (result !== true) {
+                    const rule = validator.name || 'invalid';
+                    return typeof result === 'string' ? result : this.message(rule, {}, name, validator.message);
+                }
+            }
+        }
+
+        // Reglas entre campos que apuntan a este campo
+        for (const rule of this.schema.rules.filter(item => item.field === name)) {
+            if (!(await rule.test(values))) {
+                return this.message(rule.name || 'invalid', {}, name, rule.message);
+            }
+        }
+
+        return null;
+    }
+
+    async validate() {
+        const values = this.getValues();
+        const errors = {};
+
+        for (const name of this.getFieldNames()) {
+            const error = await this.validateField(name, values);
+            if (error) {
+                errors[name] = error;
+            }
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    validateSync() {
+        const values = this.getValues();
+        const errors = {};
+
+        this.getFieldNames().forEach(name => {
+            const error = this.checkRules(name, values);
+            if (error) {
+                errors[name] = error;
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+}
+
+FormValidator.patterns = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+
+// Esquema del formulario de contacto (se suma a los atributos del HTML)
+const contactFormSchema = {
+    rules: [
+        {
+            field: 'budget',
+            name: 'budgetForProject',
+            test: (values) => !/proyecto|project/i.test(values.subject || '') || Boolean(values.budget)
+        }
+    ]
+};
+
+// ==========================================================================
+// ASISTENTE POR PASOS DEL FORMULARIO DE CONTACTO
+// ==========================================================================
+
+class ContactWizard extends Component {
+    constructor(contactForm) {
+        super();
+        this.contactForm = contactForm;
+        this.form = contactForm.form;
+        this.currentIndex = 0;
+        this.mount();
+    }
+
+    init() {
+        this.setupElements();
+        this.createControls();
+        this.bindEvents();
+        this.form.classList.add('wizard-active');
+        this.goTo(0, false);
+    }
+
+    setupElements() {
+        this.allSteps = Array.from(this.form.querySelectorAll('.form-step'));
+        this.submitButton = this.contactForm.submitButton;
+    }
+
+    createControls() {
+        // Paso de revisión: solo existe en modo asistente
+        this.reviewStep = document.createElement('fieldset');
+        this.reviewStep.className = 'form-step form-step-review';
+        this.reviewStep.setAttribute('data-step', 'review');
+        this.reviewStep.innerHTML = `<legend data-i18n="contact.step.review">${t('contact.step.review')}</legend><dl class="wizard-review"></dl>`;
+        this.allSteps[this.allSteps.length - 1].after(this.reviewStep);
+        this.allSteps.push(this.reviewStep);
+
+        this.progress = document.createElement('ol');
+        this.progress.className = 'wizard-progress';
+        this.progress.setAttribute('aria-label', t('wizard.progress'));
+        this.progress.setAttribute('data-i18n-aria-label', 'wizard.progress');
+        this.form.querySelector('h3').after(this.progress);
+
+        this.status = document.createElement('p');
+        this.status.className = 'wizard-status';
+        this.status.setAttribute('aria-live', 'polite');
+        this.progress.after(this.status);
+
+        this.nav = document.createElement('div');
+        this.nav.className = 'wizard-nav';
+        this.nav.innerHTML = `
+            <button type="button" class="btn btn-secondary wizard-back" data-i18n="wizard.back">${t('wizard.back')}</button>
+            <button type="button" class="btn btn-primary wizard-next" data-i18n="wizard.next">${t('wizard.next')}</button>
+        `;
+        this.submitButton.before(this.nav);
+
+        this.backButton = this.nav.querySelector('.wizard-back');
+        this.nextButton = this.nav.querySelector('.wizard-next');
+
+        // Al desmontar el formulario vuelve a su estado sin asistente
+        this.onCleanup(() => {
+            [this.reviewStep, this.progress, this.status, this.nav].forEach(element => element.remove());
+            this.allSteps = this.allSteps.filter(step => step !== this.reviewStep);
+            this.allSteps.forEach(step => {
+                step.classList.remove('active');
+                step.disabled = false;
+            });
+            this.submitButton.style.display = '';
+            this.form.classList.remove('wizard-active');
+        });
+    }
+
+    bindEvents() {
+        this.listen(this.backButton, 'click', () => this.back());
+        this.listen(this.nextButton, 'click', () => this.next());
+
+        // Los pasos condicionales dependen de otros campos (p. ej. el presupuesto)
+        this.listen(this.form, 'change', () => this.renderProgress());
+
+        this.onCleanup(i18n.onChange(() => {
+            this.renderProgress();
+            if (this.getCurrentStep() === this.reviewStep) {
+                this.renderReview();
+            }
+        }));
+
+        this.listen(this.form, 'keydown', (e) => {
+            if (e.altKey && e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.next();
+            } else if (e.altKey && e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.back();
+            } else if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'BUTTON' && !this.isLastStep()) {
+                e.preventDefault();
+                this.next();
+            }
+        });
+    }
+
+    // Evalúa data-step-when="campo:valor1|valor2"
+    isStepActive(step) {
+        const condition = step.getAttribute('data-step-when');
+        if (!condition) return true;
+
+        const [field, expected] = condition.split(':');
+        const input = this.form.querySelector(`[name="${field}"]`);
+        return Boolean(input) && expected.split('|').includes(input.value);
+    }
+
+    getSteps() {
+        return this.allSteps.filter(step => this.isStepActive(step));
+    }
+
+    getCurrentStep() {
+        return this.getSteps()[this.currentIndex];
+    }
+
+    isLastStep() {
+        return this.currentIndex === this.getSteps().length - 1;
+    }
+
+    async next() {
+        if (this.isLastStep()) return;
+        if (!(await this.validateStep(this.getCurrentStep()))) return;
+        this.goTo(this.currentIndex + 1);
+    }
+
+    back() {
+        if (this.currentIndex > 0) {
+            this.goTo(this.currentIndex - 1);
+        }
+    }
+
+    goTo(index, moveFocus = true) {
+        const steps = this.getSteps();
+        this.currentIndex = Math.max(0, Math.min(index, steps.length - 1));
+
+        this.allSteps.forEach(step => {
+            const isCurrent = step === steps[this.currentIndex];
+            step.classList.toggle('active', isCurrent);
+            // Los pasos que no aplican no se envían
+            step.disabled = !this.isStepActive(step);
+        });
+
+        if (steps[this.currentIndex] === this.reviewStep) {
+            this.renderReview();
+        }
+
+        this.backButton.disabled = this.currentIndex === 0;
+        this.nextButton.style.display = this.isLastStep() ? 'none' : '';
+        this.submitButton.style.display = this.isLastStep() ? '' : 'none';
+        this.renderProgress();
+
+        if (moveFocus) {
+            const firstField = steps[this.currentIndex].querySelector('input, select, textarea');
+            (firstField || this.submitButton).focus({ preventScroll: true });
+        }
+    }
+
+    // Lleva al paso que contiene el campo (p. ej. tras un error del servidor)
+    goToField(name) {
+        const input = this.form.querySelector(`[name="${name}"]`);
+        const step = input?.closest('.form-step');
+        const index = this.getSteps().indexOf(step);
+
+        if (index !== -1) {
+            this.goTo(index);
+        }
+    }
+
+    reset() {
+        this.goTo(0);
+    }
+
+    async validateStep(step) {
+        let valid = true;
+        const fields = step.querySelectorAll('input[name], select[name], textarea[name]');
+
+        for (const field of fields) {
+            if (!(await this.contactForm.validateField(field))) {
+                valid = false;
+            }
+        }
+
+        if (!valid) {
+            step.querySelector('.error')?.focus();
+            this.contactForm.reportInvalid(Array.from(step.querySelectorAll('.error[name]'), field => field.name));
+        }
+
+        return valid;
+    }
+
+    renderProgress() {
+        const steps = this.getSteps();
+
+        this.progress.innerHTML = steps.map((step, index) => {
+            const label = step.querySelector('legend')?.textContent || t('wizard.step', { number: index + 1 });
+            const state = index < this.currentIndex ? 'done' : index === this.currentIndex ? 'active' : '';
+            const current = index === this.currentIndex ? ' aria-current="step"' : '';
+            return `<li class="${state}"${current}>${escapeHTML(label)}</li>`;
+        }).join('');
+
+        this.status.textContent = t('wizard.stepOf', { current: this.currentIndex + 1, total: steps.length });
+    }
+
+    renderReview() {
+        const list = this.reviewStep.querySelector('.wizard-review');
+        list.innerHTML = '';
+
+        this.getSteps().filter(step => step !== this.reviewStep).forEach(step => {
+            step.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+                const value = this.describeValue(field);
+                if (!value) return;
+
+                const term = document.createElement('dt');
+                const label = this.form.querySelector(`label[for="${field.id}"]`) || field.closest('label');
+                term.textContent = label ? label.textContent.replace(/\s*(\*|\((Opcional|Optional)\))\s*$/, '').trim() : field.name;
+
+                const description = document.createElement('dd');
+                description.textContent = value;
+
+                list.append(term, description);
+            });
+        });
+    }
+
+    describeValue(field) {
+        if (field.type === 'file') {
+            return this.contactForm.attachments?.getFiles().map(file => file.name).join(', ') || '';
+        }
+
+        if (field.type === 'checkbox') {
+            return field.checked ? t('wizard.yes') : t('wizard.no');
+        }
+
+        if (field.tagName === 'SELECT') {
+            return field.value ? field.options[field.selectedIndex].textContent : '';
+        }
+
+        return field.value.trim();
+    }
+}
+
+// ==========================================================================
+// ADJUNTOS DEL FORMULARIO DE CONTACTO
+// ==========================================================================
+
+class AttachmentManager extends Component {
+    constructor(contactForm, options = {}) {
+        super();
+        this.contactForm = contactForm;
+        this.options = {
+            maxFiles: options.maxFiles || 5,
+            maxFileSize: options.maxFileSize || 5 * 1024 * 1024,
+            maxTotalSize: options.maxTotalSize || 15 * 1024 * 1024,
+            accept: options.accept || []
+        };
+        this.files = [];
+        this.previews = new Map();
+        this.mount();
+    }
+
+    init() {
+        this.setupElements();
+        this.bindEvents();
+        this.onCleanup(i18n.onChange(() => this.render()));
+        this.onCleanup(() => {
+            this.previews.forEach(url => URL.revokeObjectURL(url));
+            this.previews.clear();
+        });
+    }
+
+    setupElements() {
+        this.zone = this.contactForm.form.querySelector('.attachment-zone');
+        this.input = this.zone.querySelector('input[type="file"]');
+        this.list = this.zone.querySelector('.attachment-list');
+    }
+
+    bindEvents() {
+        this.listen(this.input, 'change', () => {
+            this.addFiles(this.input.files);
+            // Los archivos se gestionan en this.files, no en el input
+            this.input.value = '';
+        });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            this.listen(this.zone, type, (e) => {
+                if (!this.isFileDrag(e)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                this.zone.classList.add('dragover');
+            });
+        });
+
+        this.listen(this.zone, 'dragleave', (e) => {
+            if (!this.zone.contains(e.relatedTarget)) {
+                this.zone.classList.remove('dragover');
+            }
+        });
+
+        this.listen(this.zone, 'drop', (e) => {
+            if (!this.isFileDrag(e)) return;
+            e.preventDefault();
+            this.zone.classList.remove('dragover');
+            this.addFiles(e.dataTransfer.files);
+        });
+
+        this.listen(this.list, 'click', (e) => {
+            const button = e.target.closest('.attachment-remove');
+            if (button) {
+                this.removeFile(Number(button.getAttribute('data-index')));
+            }
+        });
+    }
+
+    isFileDrag(e) {
+        return Array.from(e.dataTransfer?.types || []).includes('Files');
+    }
+
+    isAccepted(file) {
+        if (this.options.accept.length === 0) return true;
+
+        const extension = `.${file.name.split('.').pop().toLowerCase()}`;
+        return this.options.accept.some(rule => {
+            if (rule.startsWith('.')) return rule.toLowerCase() === extension;
+            if (rule.endsWith('/*')) return file.type.startsWith(rule.slice(0, -1));
+            return file.type === rule;
+        });
+    }
+
+    addFiles(fileList) {
+        const errors = [];
+        let totalSize = this.getTotalSize();
+
+        Array.from(fileList).forEach(file => {
+            if (this.files.length >= this.options.maxFiles) {
+                errors.push(t('attachments.tooMany', { name: file.name, max: this.options.maxFiles }));
+            } else if (!this.isAccepted(file)) {
+                errors.push(t('attachments.type', { name: file.name }));
+            } else if (file.size > this.options.maxFileSize) {
+                errors.push(t('attachments.size', { name: file.name, max: AttachmentManager.formatSize(this.options.maxFileSize) }));
+            } else if (totalSize + file.size > this.options.maxTotalSize) {
+                errors.push(t('attachments.total', { name: file.name, max: AttachmentManager.formatSize(this.options.maxTotalSize) }));
+            } else if (this.files.some(item => item.name === file.name && item.size === file.size)) {
+                errors.push(t('attachments.duplicate', { name: file.name }));
+            } else {
+                this.files.push(file);
+                totalSize += file.size;
+            }
+        });
+
+        if (errors.length > 0) {
+            this.contactForm.showFieldError(this.input, errors.join('. '));
+        } else {
+            this.contactForm.clearFieldError(this.input);
+        }
+
+        this.render();
+    }
+
+    removeFile(index) {
+        const [file] = this.files.splice(index, 1);
+        if (file && this.previews.has(file)) {
+            URL.revokeObjectURL(this.previews.get(file));
+            this.previews.delete(file);
+        }
+
+        this.contactForm.clearFieldError(this.input);
+        this.render();
+    }
+
+    getFiles() {
+        return this.files.slice();
+    }
+
+    getTotalSize() {
+        return this.files.reduce((total, file) => total + file.size, 0);
+    }
+
+    clear() {
+        this.previews.forEach(url => URL.revokeObjectURL(url));
+        this.previews.clear();
+        this.files = [];
+        this.render();
+    }
+
+    getPreview(file) {
+        if (!file.type.startsWith('image/')) return null;
+
+        if (!this.previews.has(file)) {
+            this.previews.set(file, URL.createObjectURL(file));
+        }
+        return this.previews.get(file);
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        this.files.forEach((file, index) => {
+            const item = document.createElement('li');
+            item.className = 'attachment-item';
+
+            const preview = this.getPreview(file);
+            if (preview) {
+                const thumbnail = document.createElement('img');
+                thumbnail.src = preview;
+                thumbnail.alt = '';
+                thumbnail.className = 'attachment-thumb';
+                item.appendChild(thumbnail);
+            } else {
+                const icon = document.createElement('span');
+                icon.className = 'attachment-icon';
+                icon.textContent = '📄';
+                item.appendChild(icon);
+            }
+
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = `${file.name} (${AttachmentManager.formatSize(file.size)})`;
+            item.appendChild(name);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.setAttribute('data-index', index);
+            remove.setAttribute('aria-label', t('attachments.remove', { name: file.name }));
+            remove.textContent = '×';
+            item.appendChild(remove);
+
+            this.list.appendChild(item);
+        });
+
+        this.zone.classList.toggle('has-files', this.files.length > 0);
+    }
+
+    static formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    }
+}
+
+// ==========================================================================
+// FORMULARIO DE CONTACTO
+// ==========================================================================
+
+class ContactForm extends Component {
+    constructor(form = document.getElementById('contact-form')) {
+        super();
+        this.form = form;
+        this.mount();
+    }
+
+    init() {
+        this.started = false;
+        this.setupElements();
+        this.setupTransport();
+        this.setupOutbox();
+        this.spamGuard = new SpamGuard(this.form, config.contact.spam);
+        this.validator = new FormValidator(this.form, contactFormSchema);
+        // La validación la hace el motor propio; sin JS queda la nativa del navegador
+        this.form.setAttribute('novalidate', '');
+        if (this.form.querySelector('.attachment-zone')) {
+            this.attachments = new AttachmentManager(this, config.contact.attachments);
+        }
+
+        this.bindEvents();
+        this.restoreDraft();
+
+        // Modo asistente opcional; sin JS se ve el formulario completo
+        if (this.form.hasAttribute('data-wizard')) {
+            this.wizard = new ContactWizard(this);
+        }
+    }
+
+    setupElements() {
+        // Los mensajes de estado están junto al formulario, fuera de <form>
+        const scope = this.form?.closest('.contact-form-container') || document;
+        this.submitButton = scope.querySelector('.btn-submit');
+        this.successMessage = scope.querySelector('#success-message');
+        this.errorMessage = scope.querySelector('#error-message');
+        this.btnText = scope.querySelector('.btn-text');
+        this.btnLoading = scope.querySelector('.btn-loading');
+        this.pendingMessage = scope.querySelector('#pending-message');
+        this.handoffMessage = scope.querySelector('#handoff-message');
+        this.draftBanner = scope.querySelector('#draft-banner');
+    }
+
+    setupTransport() {
+        const options = { ...config.contact };
+        options.endpoint = options.endpoint || this.form?.getAttribute('action') || '';
+
+        // Se permite pasar un objeto con método send() como transporte propio
+        if (options.transport && typeof options.transport.send === 'function') {
+            this.transport = options.transport;
+            return;
+        }
+
+        // Sin endpoint no hay backend al que enviar: usar el cliente de correo
+        const name = options.endpoint ? options.transport : 'mailto';
+        const Transport = contactTransports[name] || MailtoTransport;
+        this.transport = new Transport(options);
+    }
+
+    setupOutbox() {
+        // El cliente de correo no necesita cola: abrirlo funciona sin conexión
+        if (this.transport instanceof MailtoTransport) {
+            return;
+        }
+
+        this.outbox = new ContactOutbox(this.transport, {
+            ...config.contact.retry,
+            onChange: (status) => this.updatePendingState(status),
+            onSent: () => this.showSuccess(),
+            onFailed: () => this.showError(t('contact.pending.failed'))
+        });
+    }
+
+    getOutboxStatus() {
+        return this.outbox ? this.outbox.getStatus() : null;
+    }
+
+    bindEvents() {
+        if (this.form) {
+            this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+        }
+
+        // Validación en tiempo real
+        const inputs = this.form?.querySelectorAll('input, textarea, select');
+        inputs?.forEach(input => {
+            this.listen(input, 'blur', (e) => this.validateField(e.target));
+            this.listen(input, 'input', (e) => {
+                this.clearFieldError(e.target);
+                this.saveDraft();
+                this.reportStarted();
+            });
+        });
+
+        const discardButton = this.draftBanner?.querySelector('.draft-discard');
+        this.listen(discardButton, 'click', () => this.discardDraft());
+
+        this.onCleanup(i18n.onChange(() => this.handleLanguageChange()));
+    }
+
+    // El borrador ya está guardado; los mensajes pendientes esperan a la próxima visita
+    unmount() {
+        this.outbox?.destroy();
+        this.attachments?.destroy();
+        this.wizard?.destroy();
+        super.unmount();
+    }
+
+    handleLanguageChange() {
+        // Volver a validar los campos con error para mostrarlos en el nuevo idioma
+        this.form.querySelectorAll('.error[name]').forEach(field => this.validateField(field));
+
+        if (this.outbox) {
+            this.updatePendingState(this.outbox.getStatus());
+        }
+    }
+
+    saveDraft() {
+        const draft = {};
+        let hasContent = false;
+
+        config.contact.draftFields.forEach(name => {
+            const input = this.form.querySelector(`[name="${name}"]`);
+            if (!input) return;
+
+            draft[name] = input.type === 'checkbox' ? input.checked : input.value;
+            if (draft[name] && (input.type === 'checkbox' || draft[name].trim())) {
+                hasContent = true;
+            }
+        });
+
+        try {
+            if (hasContent) {
+                sessionStorage.setItem(config.contact.draftKey, JSON.stringify(draft));
+            } else {
+                sessionStorage.removeItem(config.contact.draftKey);
+            }
+        } catch (error) {
+            console.warn('No se pudo guardar el borrador:', error);
+        }
+    }
+
+    restoreDraft() {
+        let draft = null;
+
+        try {
+            draft = JSON.parse(sessionStorage.getItem(config.contact.draftKey));
+        } catch (error) {
+            draft = null;
+        }
+
+        if (!draft) return;
+
+        config.contact.draftFields.forEach(name => {
+            const input = this.form.querySelector(`[name="${name}"]`);
+            if (!input || draft[name] === undefined) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(draft[name]);
+            } else {
+                input.value = draft[name];
+            }
+        });
+
+        if (this.draftBanner) {
+            this.draftBanner.style.display = 'flex';
+        }
+    }
+
+    clearDraft() {
+        try {
+            sessionStorage.removeItem(config.contact.draftKey);
+        } catch (error) {
+            console.warn('No se pudo eliminar el borrador:', error);
+        }
+
+        if (this.draftBanner) {
+            this.draftBanner.style.display = 'none';
+        }
+    }
+
+    discardDraft() {
+        this.resetForm();
+        this.form.querySelectorAll('.error').forEach(field => this.clearFieldError(field));
+    }
+
+    // Deja el formulario listo para un mensaje nuevo
+    resetForm() {
+        this.form.reset();
+        this.clearDraft();
+        this.attachments?.clear();
+        this.wizard?.reset();
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        // En modo asistente, Enter avanza de paso en lugar de enviar
+        if (this.wizard && !this.wizard.isLastStep()) {
+            this.wizard.next();
+            return;
+        }
+
+        if (!(await this.validateForm())) {
+            this.wizard?.goToField(this.form.querySelector('.error')?.name);
+            return;
+        }
+
+        const verdict = this.spamGuard.check();
+        if (!verdict.ok) {
+            this.handleSpamRejection(verdict);
+            return;
+        }
+
+        this.showLoading();
+
+        const payload = this.getPayload();
+        payload.proofOfWork = await this.spamGuard.createProof(payload);
+
+        // Sin conexión: guardar directamente en la bandeja de salida
+        if (this.outbox && !navigator.onLine) {
+            this.hideLoading();
+            await this.queueSubmission(payload);
+            return;
+        }
+
+        try {
+            const result = await this.transport.send(payload);
+            this.hideLoading();
+
+            // mailto: solo abre el cliente de correo; hasta que el visitante lo envíe
+            // no se ha entregado nada, así que se conservan el formulario y el borrador
+            if (result && result.delivered === false) {
+                this.showHandoff();
+                events.emit('form:submitted', { form: this.form.id, status: 'handoff' });
+                return;
+            }
+
+            this.spamGuard.recordSubmission();
+            this.showSuccess();
+            this.resetForm();
+            events.emit('form:submitted', { form: this.form.id, status: 'sent' });
+        } catch (error) {
+            this.hideLoading();
+
+            if (this.outbox && error instanceof SubmissionError && error.type === 'network') {
+                await this.queueSubmission(payload);
+                return;
+            }
+
+            this.handleSubmissionError(error);
+        }
+    }
+
+    async queueSubmission(payload) {
+        try {
+            await this.outbox.enqueue(payload);
+            this.spamGuard.recordSubmission();
+            this.hideMessages();
+            this.resetForm();
+            events.emit('form:submitted', { form: this.form.id, status: 'queued' });
+        } catch (error) {
+            console.error('No se pudo guardar el mensaje en la bandeja de salida:', error);
+            this.showError();
+        }
+    }
+
+    updatePendingState(status) {
+        const hasPending = status.pending > 0;
+        this.form.classList.toggle('has-pending', hasPending);
+
+        if (!this.pendingMessage) return;
+
+        this.pendingMessage.style.display = hasPending ? 'block' : 'none';
+        const text = this.pendingMessage.querySelector('p');
+        if (text && hasPending) {
+            const when = navigator.onLine ? t('contact.pending.retrying') : t('contact.pending.offline');
+            text.textContent = `${t('contact.pending.count', { count: status.pending })} ${when}`;
+        }
+    }
+
+    getPayload() {
+        const formData = new FormData(this.form);
+        const payload = {};
+
+        formData.forEach((value, key) => {
+            payload[key] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        payload.newsletter = formData.has('newsletter');
+        delete payload[this.spamGuard.options.honeypotField];
+        delete payload.attachments;
+
+        if (this.attachments?.getFiles().length) {
+            payload.attachments = this.attachments.getFiles();
+        }
+        return payload;
+    }
+
+    handleSpamRejection(verdict) {
+        const input = verdict.field && this.form.querySelector(`[name="${verdict.field}"]`);
+
+        if (input) {
+            this.showFieldError(input, verdict.message);
+        } else {
+            this.showError(verdict.message);
+        }
+    }
+
+    handleSubmissionError(error) {
+        if (!(error instanceof SubmissionError)) {
+            console.error('Error al enviar el formulario:', error);
+            this.showError();
+            return;
+        }
+
+        if (error.type === 'validation') {
+            let mapped = 0;
+
+            Object.entries(error.fieldErrors).forEach(([field, message]) => {
+                const input = this.form.querySelector(`[name="${field}"]`);
+                if (input) {
+                    this.showFieldError(input, message);
+                    mapped++;
+                }
+            });
+
+            const firstField = Object.keys(error.fieldErrors)[0];
+            if (mapped > 0 && firstField) {
+                this.wizard?.goToField(firstField);
+            }
+
+            // Si el servidor no indicó campos concretos, mostrar el mensaje general
+            if (mapped === 0) {
+                this.showError(error.message);
+            }
+            return;
+        }
+
+        this.showError(error.message);
+    }
+
+    // Embudo del formulario: solo la primera edición de cada visita
+    reportStarted() {
+        if (this.started) return;
+        this.started = true;
+        events.emit('form:started', { form: this.form.id });
+    }
+
+    reportInvalid(fields) {
+        events.emit('form:invalid', { form: this.form.id, fields });
+    }
+
+    async validateForm() {
+        const { valid, errors } = await this.validator.validate();
+
+        this.validator.getFieldNames().forEach(name => {
+            const input = this.form.querySelector(`[name="${name}"]`);
+            if (!input) return;
+
+            if (errors[name]) {
+                this.showFieldError(input, errors[name]);
+            } else {
+                this.clearFieldError(input);
+            }
+        });
+
+        if (!valid) {
+            this.reportInvalid(Object.keys(errors));
+        }
+
+        return valid;
+    }
+
+    async validateField(field) {
+        const error = await this.validator.validateField(field.getAttribute('name'));
+
+        if (error) {
+            this.showFieldError(field, error);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    showFieldError(field, message) {
+        field.classList.add('error');
+        
+        // Remover mensaje de error previo
+        const existingError = field.parentNode.querySelector('.field-error');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        // Agregar nuevo mensaje de error
+        const errorElement = document.createElement('span');
+        errorElement.className = 'field-error';
+        errorElement.textContent = message;
+        errorElement.style.color = '#ef4444';
+        errorElement.style.fontSize = '0.75rem';
+        errorElement.style.marginTop = '0.25rem';
+        errorElement.style.display = 'block';
+        
+        field.parentNode.appendChild(errorElement);
+    }
+
+    clearFieldError(field) {
+        field.classList.remove('error');
+        const errorElement = field.parentNode.querySelector('.field-error');
+        if (errorElement) {
+            errorElement.remove();
+        }
+    }
+
+    isValidEmail(email) {
+        return FormValidator.patterns.email.test(email);
+    }
+
+    showLoading() {
+        this.submitButton.disabled = true;
+        this.btnText.style.display = 'none';
+        this.btnLoading.style.display = 'inline-block';
+        this.hideMessages();
+    }
+
+    hideLoading() {
+        this.submitButton.disabled = false;
+        this.btnText.style.display = 'inline-block';
+        this.btnLoading.style.display = 'none';
+    }
+
+    showSuccess() {
+        this.hideMessages();
+        this.successMessage.style.display = 'block';
+        this.successMessage.scrollIntoView({ behavior: motion.reduced ? 'auto' : 'smooth', block: 'center' });
+        
+        // Auto-hide después de 5 segundos
+        this.setTimer(() => {
+            this.successMessage.style.display = 'none';
+        }, 5000);
+    }
+
+    showError(message) {
+        this.hideMessages();
+        const text = this.errorMessage.querySelector('p');
+        if (text) {
+            text.textContent = message || t('contact.error.text');
+        }
+        this.errorMessage.style.display = 'block';
+        this.errorMessage.scrollIntoView({ behavior: motion.reduced ? 'auto' : 'smooth', block: 'center' });
+        
+        // Auto-hide después de 5 segundos
+        this.setTimer(() => {
+            this.errorMessage.style.display = 'none';
+        }, 5000);
+    }
+
+    showHandoff() {
+        this.hideMessages();
+        if (!this.handoffMessage) return;
+
+        // Sin ocultarse sola: el visitante necesita las instrucciones hasta enviar el correo
+        this.handoffMessage.style.display = 'block';
+        this.handoffMessage.scrollIntoView({ behavior: motion.reduced ? 'auto' : 'smooth', block: 'center' });
+    }
+
+    hideMessages() {
+        this.successMessage.style.display = 'none';
+        this.errorMessage.style.display = 'none';
+        if (this.handoffMessage) {
+            this.handoffMessage.style.display = 'none';
+        }
+    }
+}
+
+// ==========================================================================
+// FAQ ACORDEÓN
+// ==========================================================================
+
+class FAQ extends Component {
+    constructor(root = document) {
+        super();
+        this.root = root;
+        this.mount();
+    }
+
+    init() {
+        this.setupElements();
+        this.bindEvents();
+    }
+
+    setupElements() {
+        this.faqItems = this.root.querySelectorAll('.faq-item');
+        this.faqQuestions = this.root.querySelectorAll('.faq-question');
+    }
+
+    bindEvents() {
+        this.faqQuestions.forEach(question => {
+            this.listen(question, 'click', (e) => this.toggleFAQ(e));
+        });
+    }
+
+    toggleFAQ(e) {
+        const question = e.currentTarget;
+        const faqItem = question.closest('.faq-item');
+        const isActive = faqItem.classList.contains('active');
+
+        // Cerrar todos los FAQs
+        this.faqItems.forEach(item => {
+            item.classList.remove('active');
+        });
+
+        // Abrir el FAQ clickeado si no estaba activo
+        if (!isActive) {
+            faqItem.classList.add('active');
+        }
+
+        const index = Array.from(this.faqItems).indexOf(faqItem);
+        events.emit('faq:toggled', {
+            index,
+            question: question.querySelector('[data-i18n]')?.getAttribute('data-i18n') || String(index),
+            open: !isActive
+        });
+    }
+}
+
+// ==========================================================================
+// CONTADORES
+// ==========================================================================
+
+// Contador animado configurado con atributos:
+// data-count-to, data-count-from, data-count-decimals, data-count-prefix,
+// data-count-suffix, data-count-duration (ms) y data-count-easing
+class Counter {
+    constructor(element) {
+        this.element = element;
+        this.frame = null;
+        this.readOptions();
+        this.setupElements();
+        this.unsubscribe = i18n.onChange(() => this.render(this.value));
+    }
+
+    readOptions() {
+        const data = this.element.dataset;
+        this.to = parseFloat(data.countTo) || 0;
+        this.from = parseFloat(data.countFrom) || 0;
+        this.decimals = parseInt(data.countDecimals, 10) || 0;
+        this.prefix = data.countPrefix || '';
+        this.suffix = data.countSuffix || '';
+        this.duration = parseInt(data.countDuration, 10) || Counter.defaultDuration;
+        this.easing = Counter.easings[data.countEasing] || Counter.easings['ease-out'];
+        this.value = this.to;
+    }
+
+    // El valor animado es solo visual; los lectores de pantalla leen el final desde el principio
+    setupElements() {
+        this.element.innerHTML = `
+            <span class="counter-value" aria-hidden="true"></span>
+            <span class="visually-hidden"></span>
+        `;
+        this.visual = this.element.querySelector('.counter-value');
+        this.accessible = this.element.querySelector('.visually-hidden');
+        this.render(motion.reduced ? this.to : this.from);
+    }
+
+    format(value) {
+        return `${this.prefix}${formatNumber(value, {
+            minimumFractionDigits: this.decimals,
+            maximumFractionDigits: this.decimals
+        })}${this.suffix}`;
+    }
+
+    render(value) {
+        this.value = value;
+        this.visual.textContent = this.format(value);
+        this.accessible.textContent = this.format(this.to);
+    }
+
+    start() {
+        this.cancel();
+
+        if (motion.reduced) {
+            this.finish();
+            return;
+        }
+
+        let startTime = null;
+        const step = (time) => {
+            if (startTime === null) startTime = time;
+            const progress = Math.min((time - startTime) / this.duration, 1);
+
+            this.render(this.from + (this.to - this.from) * this.easing(progress));
+
+            if (progress < 1) {
+                this.frame = requestAnimationFrame(step);
+            } else {
+                this.finish();
+            }
+        };
+
+        this.frame = requestAnimationFrame(step);
+    }
+
+    finish() {
+        this.cancel();
+        this.render(this.to);
+    }
+
+    cancel() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    destroy() {
+        this.finish();
+        this.unsubscribe();
+    }
+
+    // Contadores sin atributos ("50+"): se deducen número, decimales, prefijo y sufijo del texto
+    // "50+" → 50, "4,5" → 4.5, "1,000" y "1.500" → 1000 y 1500 (separador de miles),
+    // "1.250,75" → 1250.75. Solo es decimal un separador final seguido de 1-2 cifras
+    static fromText(element) {
+        const match = /^(\D*?)(\d+(?:[.,]\d+)*)(\D*)$/.exec(element.textContent.trim());
+        if (!match) return null;
+
+        const [, prefix, number, suffix] = match;
+        const fraction = /[.,](\d{1,2})$/.exec(number);
+        const decimals = fraction ? fraction[1].length : 0;
+        const integer = (fraction ? number.slice(0, fraction.index) : number).replace(/[.,]/g, '');
+
+        element.setAttribute('data-count-to', fraction ? `${integer}.${fraction[1]}` : integer);
+        if (decimals) element.setAttribute('data-count-decimals', decimals);
+        if (prefix) element.setAttribute('data-count-prefix', prefix);
+        if (suffix) element.setAttribute('data-count-suffix', suffix);
+
+        return new Counter(element);
+    }
+}
+
+Counter.defaultDuration = 2000;
+Counter.easings = {
+    linear: t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    'ease-out-expo': t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t))
+};
+
+// ==========================================================================
+// ANIMACIONES AL SCROLL
+// ==========================================================================
+
+class ScrollAnimations extends Component {
+    constructor() {
+        super();
+        this.observed = new Set();
+        this.counters = new Map();
+        this.mount();
+    }
+
+    init() {
+        this.setupElements();
+        this.bindEvents();
+    }
+
+    // Elementos declarativos (data-animate) y clases que ya se animaban antes
+    setupElements() {
+        this.observer = 'IntersectionObserver' in window
+            ? new IntersectionObserver((entries) => this.handleIntersections(entries), {
+                rootMargin: ScrollAnimations.rootMargin,
+                threshold: ScrollAnimations.threshold
+            })
+            : null;
+
+        this.observe(document);
+    }
+
+    // Nodos añadidos o eliminados dinámicamente se observan o se liberan solos
+    bindEvents() {
+        if (!('MutationObserver' in window)) return;
+
+        this.mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    this.observe(mutation.target);
+                    return;
+                }
+
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.observe(node);
+                    }
+                });
+
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.unobserve(node);
+                    }
+                });
+            });
+        });
+
+        this.mutationObserver.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['data-animate']
+        });
+    }
+
+    static matches(element) {
+        return element.matches(ScrollAnimations.selector);
+    }
+
+    // Observa el propio nodo y sus descendientes animables
+    observe(root) {
+        const elements = root.nodeType === Node.ELEMENT_NODE && ScrollAnimations.matches(root)
+            ? [root, ...root.querySelectorAll(ScrollAnimations.selector)]
+            : Array.from(root.querySelectorAll(ScrollAnimations.selector));
+
+        elements.forEach(element => {
+            if (this.observed.has(element)) return;
+            this.observed.add(element);
+
+            // El contador se prepara ya (valor inicial) y arranca al hacerse visible
+            if (element.hasAttribute('data-count-to') && !this.counters.has(element)) {
+                this.counters.set(element, new Counter(element));
+            }
+
+            if (this.observer) {
+                this.observer.observe(element);
+            } else {
+                // Sin IntersectionObserver se muestra todo directamente
+                this.reveal(element);
+            }
+        });
+    }
+
+    unobserve(root) {
+        const elements = ScrollAnimations.matches(root)
+            ? [root, ...root.querySelectorAll(ScrollAnimations.selector)]
+            : Array.from(root.querySelectorAll(ScrollAnimations.selector));
+
+        elements.forEach(element => {
+            // Los contadores siguen suscritos al idioma aunque ya se hayan revelado
+            this.counters.get(element)?.destroy();
+            this.counters.delete(element);
+
+            if (!this.observed.delete(element)) return;
+            if (this.observer) {
+                this.observer.unobserve(element);
+            }
+        });
+    }
+
+    // Volver a buscar elementos tras insertar contenido dinámico
+    // (el MutationObserver ya lo hace; se mantiene por compatibilidad)
+    refresh() {
+        this.observe(document);
+    }
+
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            const element = entry.target;
+
+            if (entry.isIntersecting) {
+                this.reveal(element);
+                if (ScrollAnimations.isOnce(element)) {
+                    this.observer.unobserve(element);
+                    this.observed.delete(element);
+                }
+            } else if (!ScrollAnimations.isOnce(element) && element.classList.contains('animated')) {
+                // Sin data-animate-once la animación se repite al volver a entrar
+                element.classList.remove('animated');
+            }
+        });
+    }
+
+    // data-animate se repite salvo con data-animate-once; las clases heredadas se animan una vez
+    static isOnce(element) {
+        if (!element.hasAttribute('data-animate')) return true;
+        const once = element.getAttribute('data-animate-once');
+        return once !== null && once !== 'false';
+    }
+
+    // Retraso = data-animate-delay propio + posición en el grupo × data-animate-stagger
+    static getDelay(element) {
+        let delay = parseInt(element.getAttribute('data-animate-delay'), 10) || 0;
+
+        const group = element.parentElement ? element.parentElement.closest('[data-animate-stagger]') : null;
+        if (group) {
+            const stagger = parseInt(group.getAttribute('data-animate-stagger'), 10) || 0;
+            const members = Array.from(group.querySelectorAll('[data-animate]'))
+                .filter(member => member.parentElement.closest('[data-animate-stagger]') === group);
+            delay += Math.max(members.indexOf(element), 0) * stagger;
+        }
+
+        return delay;
+    }
+
+    reveal(element) {
+        if (element.classList.contains('animated')) return;
+
+        if (element.hasAttribute('data-animate')) {
+            const delay = motion.reduced ? 0 : ScrollAnimations.getDelay(element);
+            element.style.transitionDelay = delay ? `${delay}ms` : '';
+        }
+
+        element.classList.add('animated');
+        this.triggerAnimation(element);
+    }
+
+    triggerAnimation(element) {
+        if (this.counters.has(element)) {
+            this.counters.get(element).start();
+        }
+
+        // Estadísticas sin data-count-to dentro de un elemento animado
+        element.querySelectorAll('.stat h3:not([data-count-to])').forEach(stat => this.animateCounter(stat));
+    }
+
+    unmount() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+        this.counters.forEach(counter => counter.destroy());
+        this.counters.clear();
+        this.observed.clear();
+        super.unmount();
+    }
+
+    // Compatibilidad: anima un elemento a partir de su texto ("50+")
+    animateCounter(element) {
+        const counter = this.counters.get(element) || Counter.fromText(element);
+        if (!counter) return;
+
+        this.counters.set(element, counter);
+        counter.start();
+    }
+}
+
+ScrollAnimations.selector = [
+    '[data-animate]',
+    '[data-count-to]',
+    '.fade-in',
+    '.slide-up',
+    '.slide-left',
+    '.slide-right',
+    '.skill-item',
+    '.project-card',
+    '.project-card-detailed',
+    '.timeline-item',
+    '.contact-item'
+].join(',');
+ScrollAnimations.rootMargin = '0px 0px -10% 0px';
+ScrollAnimations.threshold = 0.1;
+
+// ==========================================================================
+// TYPING ANIMATION
+// ==========================================================================
+
+class TypingAnimation extends Component {
+    constructor(element, words, options = {}) {
+        super();
+        this.element = element;
+        this.words = words;
+        this.options = {
+            typingSpeed: options.typingSpeed || config.typingSpeed,
+            deletingSpeed: options.deletingSpeed || config.deletingSpeed,
+            delayBetweenWords: options.delayBetweenWords || config.delayBetweenWords,
+            loop: options.loop !== false,
+            // Clave del catálogo i18n: las palabras se traducen al cambiar de idioma
+            wordsKey: options.wordsKey || null
+        };
+        
+        this.wordIndex = 0;
+        this.charIndex = 0;
+        this.isDeleting = false;
+        this.timer = null;
+        
+        this.mount();
+    }
+
+    init() {
+        if (this.element && this.words.length > 0) {
+            this.onCleanup(motion.onChange(() => this.start()));
+            if (this.options.wordsKey) {
+                this.onCleanup(i18n.onChange(() => this.setWords(t(this.options.wordsKey))));
+            }
+            this.start();
+        }
+    }
+
+    // data-words admite un array JSON o una lista separada por comas
+    static parseWords(value) {
+        const words = Array.isArray(value) ? value : String(value).split(',');
+        return words.map(word => String(word).trim()).filter(Boolean);
+    }
+
+    // Con movimiento reducido se muestra la primera palabra completa, sin escribir
+    start() {
+        this.clearTimer(this.timer);
+        this.timer = null;
+
+        if (motion.reduced) {
+            this.element.textContent = this.words[0];
+            return;
+        }
+
+        this.wordIndex = 0;
+        this.charIndex = 0;
+        this.isDeleting = false;
+        this.type();
+    }
+
+    // Cambiar las palabras (p. ej. al cambiar de idioma) empezando de cero
+    setWords(words) {
+        this.words = words;
+        this.wordIndex = 0;
+        this.charIndex = 0;
+        this.isDeleting = false;
+
+        if (motion.reduced) {
+            this.element.textContent = words[0];
+        }
+    }
+
+    type() {
+        const currentWord = this.words[this.wordIndex];
+        
+        if (this.isDeleting) {
+            this.charIndex--;
+        } else {
+            this.charIndex++;
+        }
+
+        this.element.textContent = currentWord.substring(0, this.charIndex);
+
+        let typeSpeed = this.options.typingSpeed;
+
+        if (this.isDeleting) {
+            typeSpeed = this.options.deletingSpeed;
+        }
+
+        if (!this.isDeleting && this.charIndex === currentWord.length) {
+            // Pausa al final de la palabra
+            typeSpeed = this.options.delayBetweenWords;
+            this.isDeleting = true;
+        } else if (this.isDeleting && this.charIndex === 0) {
+            this.isDeleting = false;
+            this.wordIndex++;
+            
+            // Reiniciar si llegamos al final
+            if (this.wordIndex >= this.words.length) {
+                if (this.options.loop) {
+                    this.wordIndex = 0;
+                } else {
+                    return;
+                }
+            }
+        }
+
+        this.timer = this.setTimer(() => this.type(), typeSpeed);
+    }
+}
+
+// ==========================================================================
+// LAZY LOADING DE IMÁGENES
+// ==========================================================================
+
+class LazyLoader extends Component {
+    constructor() {
+        super();
+        this.mount();
+    }
+
+    init() {
+        this.setupElements();
+        this.bindEvents();
+        this.loadVisibleImages();
+    }
+
+    setupElements() {
+        this.lazyImages = [];
+        this.autoplayVideos = new Set();
+        this.imageObserver = null;
+        this.videoObserver = null;
+
+        if ('IntersectionObserver' in window) {
+            this.setupIntersectionObserver();
+        }
+
+        this.collect();
+    }
+
+    setupIntersectionObserver() {
+        this.imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.load(entry.target);
+                    this.imageObserver.unobserve(entry.target);
+                }
+            });
+        }, {
+            rootMargin: config.lazyLoad.rootMargin
+        });
+
+        // Vídeos con data-autoplay: reproducir solo mientras se ven
+        this.videoObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => this.toggleVideo(entry.target, entry.isIntersecting));
+        }, {
+            threshold: config.lazyLoad.videoThreshold
+        });
+
+        this.onCleanup(() => {
+            this.imageObserver.disconnect();
+            this.videoObserver.disconnect();
+        });
+    }
+
+    bindEvents() {
+        if (!('IntersectionObserver' in window)) {
+            this.listen(window, 'scroll', this.throttle(() => this.loadVisibleImages(), 100));
+            this.listen(window, 'resize', this.debounce(() => this.loadVisibleImages(), 250));
+        }
+    }
+
+    // Busca elementos diferidos nuevos: imágenes, fondos (data-bg), iframes y vídeos
+    collect() {
+        // Olvidar los elementos retirados del documento (p. ej. al cambiar de página)
+        this.lazyImages = this.lazyImages.filter(element => {
+            if (element.isConnected) return true;
+            this.imageObserver?.unobserve(element);
+            return false;
+        });
+
+        this.autoplayVideos.forEach(video => {
+            if (video.isConnected) return;
+            this.videoObserver.unobserve(video);
+            this.autoplayVideos.delete(video);
+        });
+
+        document.querySelectorAll('iframe[data-src]').forEach(iframe => this.createFacade(iframe));
+
+        const known = new Set(this.lazyImages);
+        const added = Array.from(document.querySelectorAll(LazyLoader.selector))
+            .filter(element => !known.has(element))
+            .filter(element => element.tagName !== 'VIDEO' || LazyLoader.hasVideoSource(element));
+
+        added.forEach(element => {
+            if (element.tagName === 'IMG') {
+                this.showPlaceholder(element);
+            }
+            this.lazyImages.push(element);
+            if (this.imageObserver) {
+                this.imageObserver.observe(element);
+            }
+        });
+
+        document.querySelectorAll('video[data-autoplay]').forEach(video => {
+            if (this.videoObserver && !this.autoplayVideos.has(video)) {
+                this.autoplayVideos.add(video);
+                this.videoObserver.observe(video);
+            }
+        });
+    }
+
+    // Volver a buscar elementos tras insertar contenido dinámico
+    refresh() {
+        this.collect();
+
+        if (!this.imageObserver) {
+            this.loadVisibleImages();
+        }
+    }
+
+    loadVisibleImages() {
+        this.lazyImages.forEach(element => {
+            if (isInViewport(element, 50)) {
+                this.load(element);
+            }
+        });
+    }
+
+    load(element) {
+        if (element.tagName === 'IMG') {
+            this.loadImage(element);
+        } else if (element.tagName === 'VIDEO') {
+            this.loadVideo(element);
+        } else if (element.tagName === 'IFRAME') {
+            this.loadIframe(element);
+        } else if (element.hasAttribute('data-bg')) {
+            this.loadBackground(element);
+        }
+    }
+
+    // Color dominante (data-placeholder-color) o imagen de baja calidad (data-placeholder) mientras carga
+    showPlaceholder(img) {
+        const color = img.getAttribute('data-placeholder-color');
+        const placeholder = img.getAttribute('data-placeholder');
+
+        if (color) {
+            img.style.backgroundColor = color;
+        }
+
+        if (placeholder && !img.getAttribute('src')) {
+            img.src = placeholder;
+            img.classList.add('lazy-blur');
+        }
+
+        img.classList.add('lazy-pending');
+    }
+
+    // La imagen se descarga primero en una copia fuera del documento; así el placeholder
+    // sigue visible mientras tanto y los fallos se pueden reintentar sin romper la original
+    loadImage(img, attempt = 1) {
+        const src = img.getAttribute('data-src');
+        const srcset = img.getAttribute('data-srcset');
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (!src && !srcset) return;
+
+        // Remover de la lista de elementos lazy
+        this.lazyImages = this.lazyImages.filter(element => element !== img);
+        img.classList.add('lazy-loading');
+
+        const probe = this.createProbe(img, picture);
+
+        probe.onload = () => this.applyImage(img, picture, attempt);
+        probe.onerror = () => this.handleError(img, attempt);
+    }
+
+    createProbe(img, picture) {
+        if (picture) {
+            const clone = picture.cloneNode(true);
+            LazyLoader.promote(clone.querySelectorAll('source'));
+            const probe = clone.querySelector('img');
+            LazyLoader.promote([probe]);
+            return probe;
+        }
+
+        const probe = new Image();
+        ['sizes', 'srcset', 'src'].forEach(attribute => {
+            const value = img.getAttribute(`data-${attribute}`);
+            if (value) {
+                probe.setAttribute(attribute, value);
+            }
+        });
+        return probe;
+    }
+
+    // data-srcset/data-sizes/data-src → atributos reales (sizes antes que srcset)
+    static promote(elements) {
+        elements.forEach(element => {
+            ['sizes', 'srcset', 'src'].forEach(attribute => {
+                const value = element.getAttribute(`data-${attribute}`);
+                if (value) {
+                    element.setAttribute(attribute, value);
+                    element.removeAttribute(`data-${attribute}`);
+                }
+            });
+        });
+    }
+
+    applyImage(img, picture, attempt) {
+        if (picture) {
+            LazyLoader.promote(picture.querySelectorAll('source'));
+        }
+        LazyLoader.promote([img]);
+
+        img.classList.remove('lazy-pending', 'lazy-loading', 'lazy-blur');
+        img.classList.add('loaded');
+        img.style.backgroundColor = '';
+
+        this.emit(img, 'lazyloaded', { src: img.currentSrc || img.getAttribute('src'), attempts: attempt });
+    }
+
+    // Imagen de fondo CSS: se descarga igual que una imagen y después se aplica al estilo
+    loadBackground(element, attempt = 1) {
+        const src = element.getAttribute('data-bg');
+        if (!src) return;
+
+        this.lazyImages = this.lazyImages.filter(item => item !== element);
+        element.classList.add('lazy-loading');
+
+        const probe = new Image();
+        probe.onload = () => {
+            element.style.backgroundImage = `url("${src.replace(/"/g, '%22')}")`;
+            element.removeAttribute('data-bg');
+            element.classList.remove('lazy-loading');
+            element.classList.add('loaded');
+            this.emit(element, 'lazyloaded', { src, attempts: attempt });
+        };
+        probe.onerror = () => {
+            if (this.scheduleRetry(() => this.loadBackground(element, attempt + 1), attempt)) return;
+
+            element.removeAttribute('data-bg');
+            element.classList.remove('lazy-loading');
+            this.emit(element, 'lazyerror', { src, attempts: attempt });
+        };
+        probe.src = src;
+    }
+
+    // Vídeo con data-src propio o en sus <source>; la descarga empieza al acercarse a pantalla
+    loadVideo(video) {
+        if (!LazyLoader.hasVideoSource(video)) return;
+        this.lazyImages = this.lazyImages.filter(element => element !== video);
+
+        const src = video.getAttribute('data-src');
+        LazyLoader.promote([video, ...video.querySelectorAll('source')]);
+        if (video.getAttribute('data-poster')) {
+            video.poster = video.getAttribute('data-poster');
+            video.removeAttribute('data-poster');
+        }
+
+        video.addEventListener('loadeddata', () => {
+            video.classList.add('loaded');
+            this.emit(video, 'lazyloaded', { src: video.currentSrc || src, attempts: 1 });
+        }, { once: true });
+        video.addEventListener('error', () => {
+            this.emit(video, 'lazyerror', { src: video.currentSrc || src, attempts: 1 });
+        }, { once: true });
+
+        video.load();
+    }
+
+    static hasVideoSource(video) {
+        return video.hasAttribute('data-src') || video.querySelector('source[data-src]') !== null;
+    }
+
+    toggleVideo(video, visible) {
+        if (visible) {
+            this.loadVideo(video);
+            // La reproducción automática solo está permitida sin sonido
+            video.muted = true;
+            video.playsInline = true;
+            const playing = video.play();
+            if (playing && typeof playing.catch === 'function') {
+                playing.catch(() => {});
+            }
+        } else if (!video.paused) {
+            video.pause();
+        }
+    }
+
+    // Los iframes no se cargan solos: se muestra una fachada y el contenido llega al hacer clic.
+    // Con data-facade="false" se cargan al entrar en pantalla, como las imágenes.
+    createFacade(iframe) {
+        if (iframe.hasAttribute('data-facade-ready')) return;
+        iframe.setAttribute('data-facade-ready', '');
+
+        if (iframe.getAttribute('data-facade') === 'false') {
+            this.lazyImages.push(iframe);
+            if (this.imageObserver) {
+                this.imageObserver.observe(iframe);
+            }
+            return;
+        }
+
+        const title = iframe.title || t('lazy.embed');
+        const facade = document.createElement('button');
+        facade.type = 'button';
+        facade.className = 'embed-facade';
+        facade.setAttribute('aria-label', t('lazy.loadEmbed', { title }));
+        facade.innerHTML = `
+            <span class="embed-facade-play" aria-hidden="true">&#9654;</span>
+            <span class="embed-facade-title">${escapeHTML(title)}</span>
+        `;
+
+        // La miniatura también es diferida (data-bg)
+        const poster = iframe.getAttribute('data-poster');
+        if (poster) {
+            facade.setAttribute('data-bg', poster);
+        }
+
+        facade.addEventListener('click', () => {
+            this.loadIframe(iframe);
+            facade.remove();
+            iframe.focus();
+        }, { once: true });
+
+        iframe.hidden = true;
+        iframe.parentNode.insertBefore(facade, iframe);
+    }
+
+    loadIframe(iframe) {
+        this.lazyImages = this.lazyImages.filter(element => element !== iframe);
+
+        iframe.addEventListener('load', () => {
+            iframe.classList.add('loaded');
+            this.emit(iframe, 'lazyloaded', { src: iframe.src, attempts: 1 });
+        }, { once: true });
+
+        LazyLoader.promote([iframe]);
+        iframe.hidden = false;
+    }
+
+    // Programa un reintento con espera exponencial; false si ya no quedan intentos
+    scheduleRetry(retry, attempt) {
+        const { baseDelay, maxAttempts } = config.lazyLoad.retry;
+        if (attempt >= maxAttempts) return false;
+
+        this.setTimer(retry, baseDelay * Math.pow(2, attempt - 1));
+        return true;
+    }
+
+    // Reintentar con espera exponencial; al agotar los intentos, placeholder de error de la App
+    handleError(img, attempt) {
+        if (this.scheduleRetry(() => this.loadImage(img, attempt + 1), attempt)) return;
+
+        const src = img.getAttribute('data-src') || img.getAttribute('data-srcset');
+        img.classList.remove('lazy-pending', 'lazy-loading', 'lazy-blur');
+        img.removeAttribute('data-srcset');
+        img.removeAttribute('data-src');
+
+        if (portfolioApp) {
+            portfolioApp.handleResourceError(img);
+        }
+
+        this.emit(img, 'lazyerror', { src, attempts: attempt });
+    }
+
+    // Eventos en la propia imagen (burbujean hasta document) y en el bus de la aplicación
+    emit(img, type, detail) {
+        img.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+        events.emit(type === 'lazyloaded' ? 'image:loaded' : 'image:failed', { element: img, ...detail });
+    }
+}
+
+LazyLoader.selector = 'img[data-src], img[data-srcset], [data-bg], video';
+
+// ==========================================================================
+// VISOR DE IMÁGENES (LIGHTBOX)
+// ==========================================================================
+
+// Visor a pantalla completa; la carga de imágenes pasa por LazyLoader
+class Lightbox extends Component {
+    constructor(lazyLoader) {
+        super();
+        this.lazyLoader = lazyLoader;
+        this.items = [];
+        this.index = 0;
+        this.cache = new Map();
+        this.trigger = null;
+        this.resetZoom();
+        this.mount();
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    init() {
+        this.createElements();
+        this.bindEvents();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'lightbox';
+        this.element.hidden = true;
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('tabindex', '-1');
+        this.element.innerHTML = `
+            <figure class="lightbox-figure">
+                <div class="lightbox-stage">
+                    <img class="lightbox-image" alt="">
+                </div>
+                <figcaption class="lightbox-caption"></figcaption>
+            </figure>
+            <span class="lightbox-counter" aria-live="polite"></span>
+            <button type="button" class="lightbox-close" data-lightbox-close>&times;</button>
+            <button type="button" class="lightbox-prev" data-lightbox-step="-1">&lsaquo;</button>
+            <button type="button" class="lightbox-next" data-lightbox-step="1">&rsaquo;</button>
+        `;
+        document.body.appendChild(this.element);
+        this.onCleanup(() => {
+            document.body.classList.remove('lightbox-open');
+            this.element.remove();
+        });
+
+        this.stage = this.element.querySelector('.lightbox-stage');
+        this.image = this.element.querySelector('.lightbox-image');
+        this.caption = this.element.querySelector('.lightbox-caption');
+        this.counter = this.element.querySelector('.lightbox-counter');
+        this.closeButton = this.element.querySelector('.lightbox-close');
+        this.prevButton = this.element.querySelector('.lightbox-prev');
+        this.nextButton = this.element.querySelector('.lightbox-next');
+        this.updateLabels();
+    }
+
+    bindEvents() {
+        // Imágenes de las tarjetas: el overlay tapa la imagen, así que se escucha en todo el contenedor
+        this.listen(document, 'click', (e) => {
+            const container = e.target.closest('.project-image');
+            if (!container || e.target.closest('a, button')) return;
+
+            const image = container.querySelector('img[data-lightbox]');
+            if (image) {
+                this.openGroup(image);
+            }
+        });
+
+        this.listen(this.element, 'click', (e) => {
+            if (e.target.closest('[data-lightbox-close]') || e.target === this.element) {
+                this.close();
+                return;
+            }
+
+            const step = e.target.closest('[data-lightbox-step]');
+            if (step) {
+                this.step(Number(step.getAttribute('data-lightbox-step')));
+            }
+        });
+
+        // Escape llega por el bus; el visor siempre es la capa superior
+        this.subscribe('ui:escape', (detail) => {
+            if (detail.handled || !this.isOpen) return;
+            detail.handled = true;
+            this.close();
+        });
+
+        this.listen(this.element, 'keydown', (e) => this.handleKeydown(e));
+
+        // Zoom con la rueda del ratón y doble clic
+        this.listen(this.stage, 'wheel', (e) => {
+            e.preventDefault();
+            this.zoomTo(this.zoom.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2));
+        }, { passive: false });
+
+        this.listen(this.stage, 'dblclick', () => {
+            this.zoomTo(this.zoom.scale > 1 ? 1 : 2);
+        });
+
+        // Gestos táctiles: deslizar para cambiar de imagen, pellizcar para ampliar
+        this.listen(this.stage, 'touchstart', (e) => this.handleTouchStart(e), { passive: true });
+        this.listen(this.stage, 'touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.listen(this.stage, 'touchend', (e) => this.handleTouchEnd(e));
+
+        // Arrastrar la imagen ampliada con el ratón
+        this.listen(this.stage, 'mousedown', (e) => this.startPan(e.clientX, e.clientY));
+        this.listen(window, 'mousemove', (e) => this.movePan(e.clientX, e.clientY));
+        this.listen(window, 'mouseup', () => this.endPan());
+
+        this.onCleanup(i18n.onChange(() => this.updateLabels()));
+    }
+
+    updateLabels() {
+        this.element.setAttribute('aria-label', t('lightbox.label'));
+        this.closeButton.setAttribute('aria-label', t('lightbox.close'));
+        this.prevButton.setAttribute('aria-label', t('lightbox.previous'));
+        this.nextButton.setAttribute('aria-label', t('lightbox.next'));
+        if (this.isOpen) {
+            this.updateCounter();
+        }
+    }
+
+    // Galería formada por las imágenes visibles del mismo grupo (data-lightbox)
+    openGroup(image) {
+        const group = image.getAttribute('data-lightbox');
+        const images = Array.from(document.querySelectorAll('img[data-lightbox]'))
+            .filter(element => element.getAttribute('data-lightbox') === group)
+            .filter(element => !element.closest('.hidden, [hidden]'));
+
+        const items = images.map(element => ({
+            src: element.getAttribute('data-lightbox-src') || element.getAttribute('data-src') || element.getAttribute('src'),
+            alt: element.getAttribute('alt') || ''
+        }));
+
+        this.open(items, Math.max(images.indexOf(image), 0), image);
+    }
+
+    // items: [{ src, alt }]
+    open(items, index = 0, trigger = document.activeElement) {
+        if (items.length === 0) return;
+
+        this.items = items;
+        this.trigger = trigger;
+        this.element.hidden = false;
+        document.body.classList.add('lightbox-open');
+        this.show(index);
+        this.element.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.element.hidden = true;
+        document.body.classList.remove('lightbox-open');
+        this.image.removeAttribute('src');
+
+        if (this.trigger && document.contains(this.trigger) && typeof this.trigger.focus === 'function') {
+            this.trigger.focus();
+        }
+        this.trigger = null;
+    }
+
+    show(index) {
+        const total = this.items.length;
+        this.index = (index + total) % total;
+        const item = this.items[this.index];
+
+        this.resetZoom();
+        this.applyTransform();
+
+        this.image.alt = item.alt;
+        this.caption.textContent = item.alt;
+        this.caption.hidden = !item.alt;
+        this.image.classList.remove('loaded');
+        this.image.setAttribute('data-src', item.src);
+        this.lazyLoader.loadImage(this.image);
+
+        this.prevButton.hidden = total < 2;
+        this.nextButton.hidden = total < 2;
+        this.updateCounter();
+        this.preloadAdjacent();
+    }
+
+    step(direction) {
+        if (this.items.length < 2) return;
+        this.show(this.index + direction);
+    }
+
+    updateCounter() {
+        this.counter.hidden = this.items.length < 2;
+        this.counter.textContent = t('lightbox.counter', { current: this.index + 1, total: this.items.length });
+    }
+
+    // Precarga de la imagen anterior y la siguiente para que el cambio sea inmediato
+    preloadAdjacent() {
+        if (this.items.length < 2) return;
+
+        [this.index - 1, this.index + 1].forEach(position => {
+            const item = this.items[(position + this.items.length) % this.items.length];
+            if (this.cache.has(item.src)) return;
+
+            const image = new Image();
+            image.setAttribute('data-src', item.src);
+            this.lazyLoader.loadImage(image);
+            this.cache.set(item.src, image);
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.step(-1);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this.step(1);
+        } else if (e.key === '+' || e.key === '=') {
+            this.zoomTo(this.zoom.scale * 1.2);
+        } else if (e.key === '-') {
+            this.zoomTo(this.zoom.scale / 1.2);
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll('button')).filter(button => !button.hidden);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.element)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pan = null;
+        this.touch = null;
+    }
+
+    zoomTo(scale) {
+        this.zoom.scale = Math.min(Math.max(scale, 1), Lightbox.maxZoom);
+        if (this.zoom.scale === 1) {
+            this.zoom.x = 0;
+            this.zoom.y = 0;
+        }
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        const { scale, x, y } = this.zoom;
+        this.image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+        this.stage.classList.toggle('zoomed', scale > 1);
+    }
+
+    startPan(x, y) {
+        if (this.zoom.scale === 1) return;
+        this.pan = { x, y, originX: this.zoom.x, originY: this.zoom.y };
+    }
+
+    movePan(x, y) {
+        if (!this.pan) return;
+        this.zoom.x = this.pan.originX + (x - this.pan.x);
+        this.zoom.y = this.pan.originY + (y - this.pan.y);
+        this.applyTransform();
+    }
+
+    endPan() {
+        this.pan = null;
+    }
+
+    static touchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    handleTouchStart(e) {
+        if (e.touches.length === 2) {
+            this.pan = null;
+            this.touch = { distance: Lightbox.touchDistance(e.touches), scale: this.zoom.scale };
+        } else if (e.touches.length === 1) {
+            const { clientX, clientY } = e.touches[0];
+            this.touch = { startX: clientX, startY: clientY };
+            this.startPan(clientX, clientY);
+        }
+    }
+
+    handleTouchMove(e) {
+        if (!this.touch) return;
+
+        if (e.touches.length === 2 && this.touch.distance) {
+            e.preventDefault();
+            this.zoomTo(this.touch.scale * Lightbox.touchDistance(e.touches) / this.touch.distance);
+        } else if (e.touches.length === 1 && this.pan) {
+            e.preventDefault();
+            this.movePan(e.touches[0].clientX, e.touches[0].clientY);
+        }
+    }
+
+    handleTouchEnd(e) {
+        const touch = this.touch;
+        this.touch = null;
+        this.endPan();
+
+        // Deslizar solo cambia de imagen cuando no hay zoom
+        if (!touch || touch.distance || this.zoom.scale > 1 || e.changedTouches.length === 0) return;
+
+        const dx = e.changedTouches[0].clientX - touch.startX;
+        const dy = e.changedTouches[0].clientY - touch.startY;
+
+        if (Math.abs(dx) > Lightbox.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+            this.step(dx < 0 ? 1 : -1);
+        }
+    }
+}
+
+Lightbox.maxZoom = 4;
+Lightbox.swipeThreshold = 50;
+
+// ==========================================================================
+// PERFORMANCE Y OPTIMIZACIONES
+// ==========================================================================
+
+class PerformanceOptimizer extends Component {
+    constructor() {
+        super();
+        this.mount();
+    }
+
+    init() {
+        this.prefetchLinks();
+        this.optimizeScrolling();
+        this.handleConnectionSpeed();
+        this.onCleanup(motion.onChange(() => this.updateParallaxElements()));
+    }
+
+    prefetchLinks() {
+        // Prefetch de páginas importantes al hover
+        const importantLinks = document.querySelectorAll('a[href$=".html"]');
+        
+        importantLinks.forEach(link => {
+            this.listen(link, 'mouseenter', () => {
+                if (!link.hasAttribute('data-prefetched')) {
+                    const prefetchLink = document.createElement('link');
+                    prefetchLink.rel = 'prefetch';
+                    prefetchLink.href = link.href;
+                    document.head.appendChild(prefetchLink);
+                    link.setAttribute('data-prefetched', 'true');
+                }
+            });
+        });
+    }
+
+    optimizeScrolling() {
+        // Optimizar scroll con passive listeners
+        let ticking = false;
+        
+        const updateScrollPosition = () => {
+            // Actualizar posición de elementos que dependen del scroll
+            this.updateParallaxElements();
+            ticking = false;
+        };
+
+        this.listen(window, 'scroll', () => {
+            if (!ticking) {
+                this.requestFrame(updateScrollPosition);
+                ticking = true;
+            }
+        }, { passive: true });
+    }
+
+    updateParallaxElements() {
+        const scrolled = window.pageYOffset;
+        const parallaxElements = document.querySelectorAll('[data-parallax]');
+
+        // Sin parallax con movimiento reducido: los elementos vuelven a su sitio
+        if (motion.reduced) {
+            parallaxElements.forEach(element => {
+                element.style.transform = '';
+            });
+            return;
+        }
+        
+        parallaxElements.forEach(element => {
+            const speed = element.getAttribute('data-parallax') || 0.5;
+            const yPos = -(scrolled * speed);
+            element.style.transform = `translateY(${yPos}px)`;
+        });
+    }
+
+    handleConnectionSpeed() {
+        // Adaptarse a la velocidad de conexión
+        if ('connection' in navigator) {
+            const connection = navigator.connection;
+            
+            if (connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
+                // Reducir animaciones en conexiones lentas
+                motion.setConstrained(true);
+                
+                // Deshabilitar lazy loading si es muy lenta
+                this.disableLazyLoading();
+            }
+        }
+    }
+
+    disableLazyLoading() {
+        const lazyImages = document.querySelectorAll('img[data-src]');
+        lazyImages.forEach(img => {
+            img.src = img.getAttribute('data-src');
+            img.removeAttribute('data-src');
+        });
     }
 }
 
 // ==========================================================================
-// FORMULARIO DE CONTACTO
+// THEME MANAGER (MODO OSCURO)
 // ==========================================================================
 
-class ContactForm {
+class ThemeManager extends Component {
     constructor() {
-        this.init();
+        super();
+        // Modo elegido ('light' | 'dark' | 'system') y tema resultante ('light' | 'dark')
+        this.mode = 'system';
+        this.currentTheme = 'light';
+        this.variant = 'default';
+        this.accent = null;
+        this.mount();
     }
 
     init() {
-        this.setupElements();
-        this.bindEvents();
+        this.loadSavedTheme();
+        this.setupToggleButton();
+        this.setupOptions();
+        this.detectSystemPreference();
+        this.apply();
+
+        this.onCleanup(i18n.onChange(() => {
+            this.updateToggleIcon();
+            this.renderOptions();
+        }));
     }
 
-    setupElements() {
-        this.form = document.getElementById('contact-form');
-        this.submitButton = document.querySelector('.btn-submit');
-        this.successMessage = document.getElementById('success-message');
-        this.errorMessage = document.getElementById('error-message');
-        this.btnText = document.querySelector('.btn-text');
-        this.btnLoading = document.querySelector('.btn-loading');
+    // Las mismas claves que lee el script en línea del <head>
+    loadSavedTheme() {
+        const savedMode = localStorage.getItem(ThemeManager.storageKeys.mode);
+        const savedVariant = localStorage.getItem(ThemeManager.storageKeys.variant);
+
+        this.mode = config.theme.modes.includes(savedMode) ? savedMode : 'system';
+        this.variant = config.theme.variants.includes(savedVariant) ? savedVariant : 'default';
+        this.accent = ThemeManager.isColor(localStorage.getItem(ThemeManager.storageKeys.accent))
+            ? localStorage.getItem(ThemeManager.storageKeys.accent)
+            : null;
     }
 
-    bindEvents() {
-        if (this.form) {
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    setupToggleButton() {
+        this.toggleButton = document.getElementById('theme-toggle');
+        if (this.toggleButton) {
+            this.listen(this.toggleButton, 'click', () => this.toggleTheme());
         }
+    }
 
-        // Validación en tiempo real
-        const inputs = this.form?.querySelectorAll('input, textarea, select');
-        inputs?.forEach(input => {
-            input.addEventListener('blur', (e) => this.validateField(e.target));
-            input.addEventListener('input', (e) => this.clearFieldError(e.target));
+    setupOptions() {
+        this.optionsPanel = document.querySelector('.theme-options-panel');
+        if (!this.optionsPanel) return;
+
+        this.listen(this.optionsPanel, 'change', (e) => {
+            if (e.target.name === 'theme-variant') {
+                this.setVariant(e.target.value);
+            }
         });
-    }
 
-    handleSubmit(e) {
-        e.preventDefault();
-        
-        if (!this.validateForm()) {
-            return;
-        }
+        this.listen(this.optionsPanel, 'input', (e) => {
+            if (e.target.classList.contains('theme-accent-input')) {
+                this.setAccent(e.target.value);
+            }
+        });
 
-        this.showLoading();
-        this.simulateSubmission();
+        this.listen(this.optionsPanel, 'click', (e) => {
+            const swatch = e.target.closest('.theme-swatch[data-accent]');
+            if (swatch) {
+                this.setAccent(swatch.getAttribute('data-accent') || null);
+            } else if (e.target.closest('.theme-accent-reset')) {
+                this.setAccent(null);
+            }
+        });
+
+        this.renderOptions();
     }
 
-    validateForm() {
-        const formData = new FormData(this.form);
-        let isValid = true;
+    detectSystemPreference() {
+        this.systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        if (!this.systemQuery) return;
 
-        // Validar campos requeridos
-        const requiredFields = ['name', 'email', 'subject', 'message'];
-        requiredFields.forEach(field => {
-            const value = formData.get(field);
-            const input = this.form.querySelector(`[name="${field}"]`);
-            
-            if (!value || !value.trim()) {
-                this.showFieldError(input, 'Este campo es requerido');
-                isValid = false;
-            } else {
-                this.clearFieldError(input);
+        // Escuchar cambios en la preferencia del sistema
+        this.listen(this.systemQuery, 'change', () => {
+            if (this.mode === 'system') {
+                this.apply();
             }
         });
+    }
 
-        // Validar email
-        const email = formData.get('email');
-        if (email && !this.isValidEmail(email)) {
-            const emailInput = this.form.querySelector('[name="email"]');
-            this.showFieldError(emailInput, 'Por favor ingresa un email válido');
-            isValid = false;
-        }
+    resolveTheme() {
+        if (this.mode !== 'system') return this.mode;
+        return this.systemQuery && this.systemQuery.matches ? 'dark' : 'light';
+    }
 
-        return isValid;
+    // light → dark → system → light
+    toggleTheme() {
+        const modes = config.theme.modes;
+        this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
     }
 
-    validateField(field) {
-        const value = field.value.trim();
-        const fieldName = field.getAttribute('name');
+    setMode(mode) {
+        if (!config.theme.modes.includes(mode)) return;
+        this.mode = mode;
 
-        if (field.hasAttribute('required') && !value) {
-            this.showFieldError(field, 'Este campo es requerido');
-            return false;
+        // 'system' no se guarda: sin preferencia guardada se sigue al sistema
+        if (mode === 'system') {
+            localStorage.removeItem(ThemeManager.storageKeys.mode);
+        } else {
+            localStorage.setItem(ThemeManager.storageKeys.mode, mode);
         }
 
-        if (fieldName === 'email' && value && !this.isValidEmail(value)) {
-            this.showFieldError(field, 'Por favor ingresa un email válido');
-            return false;
-        }
+        this.apply();
+    }
 
-        this.clearFieldError(field);
-        return true;
+    // Compatibilidad con la API anterior: setTheme('light' | 'dark' | 'system')
+    setTheme(theme) {
+        this.setMode(theme);
     }
 
-    showFieldError(field, message) {
-        field.classList.add('error');
-        
-        // Remover mensaje de error previo
-        const existingError = field.parentNode.querySelector('.field-error');
-        if (existingError) {
-            existingError.remove();
+    setVariant(variant) {
+        if (!config.theme.variants.includes(variant)) return;
+        this.variant = variant;
+
+        if (variant === 'default') {
+            localStorage.removeItem(ThemeManager.storageKeys.variant);
+        } else {
+            localStorage.setItem(ThemeManager.storageKeys.variant, variant);
         }
 
-        // Agregar nuevo mensaje de error
-        const errorElement = document.createElement('span');
-        errorElement.className = 'field-error';
-        errorElement.textContent = message;
-        errorElement.style.color = '#ef4444';
-        errorElement.style.fontSize = '0.75rem';
-        errorElement.style.marginTop = '0.25rem';
-        errorElement.style.display = 'block';
-        
-        field.parentNode.appendChild(errorElement);
+        this.apply();
     }
 
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const errorElement = field.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
+    // null vuelve al color de acento del tema
+    setAccent(color) {
+        this.accent = ThemeManager.isColor(color) ? color : null;
+
+        if (this.accent) {
+            localStorage.setItem(ThemeManager.storageKeys.accent, this.accent);
+        } else {
+            localStorage.removeItem(ThemeManager.storageKeys.accent);
         }
-    }
 
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        this.apply();
     }
 
-    showLoading() {
-        this.submitButton.disabled = true;
-        this.btnText.style.display = 'none';
-        this.btnLoading.style.display = 'inline-block';
-        this.hideMessages();
+    static isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
     }
 
-    hideLoading() {
-        this.submitButton.disabled = false;
-        this.btnText.style.display = 'inline-block';
-        this.btnLoading.style.display = 'none';
-    }
+    apply() {
+        const root = document.documentElement;
+        this.currentTheme = this.resolveTheme();
 
-    simulateSubmission() {
-        // Simular envío del formulario
-        setTimeout(() => {
-            this.hideLoading();
-            
-            // Simular éxito (90% de las veces)
-            if (Math.random() > 0.1) {
-                this.showSuccess();
-                this.form.reset();
-            } else {
-                this.showError();
-            }
-        }, 2000);
-    }
+        root.setAttribute('data-theme', this.currentTheme);
 
-    showSuccess() {
-        this.hideMessages();
-        this.successMessage.style.display = 'block';
-        this.successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        
-        // Auto-hide después de 5 segundos
-        setTimeout(() => {
-            this.successMessage.style.display = 'none';
-        }, 5000);
-    }
+        if (this.variant === 'default') {
+            root.removeAttribute('data-theme-variant');
+        } else {
+            root.setAttribute('data-theme-variant', this.variant);
+        }
 
-    showError() {
-        this.hideMessages();
-        this.errorMessage.style.display = 'block';
-        this.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        
-        // Auto-hide después de 5 segundos
-        setTimeout(() => {
-            this.errorMessage.style.display = 'none';
-        }, 5000);
-    }
+        // Los tonos claro/oscuro del acento se derivan en CSS (:root[data-accent])
+        if (this.accent) {
+            root.setAttribute('data-accent', '');
+            root.style.setProperty('--primary-color', this.accent);
+        } else {
+            root.removeAttribute('data-accent');
+            root.style.removeProperty('--primary-color');
+        }
 
-    hideMessages() {
-        this.successMessage.style.display = 'none';
-        this.errorMessage.style.display = 'none';
+        // Actualizar icono del botón toggle
+        this.updateToggleIcon();
+        this.updateOptions();
+
+        events.emit('theme:changed', {
+            mode: this.mode,
+            theme: this.currentTheme,
+            variant: this.variant,
+            accent: this.accent
+        });
     }
-}
 
-// ==========================================================================
-// FAQ ACORDEÓN
-// ==========================================================================
+    updateToggleIcon() {
+        if (!this.toggleButton) return;
 
-class FAQ {
-    constructor() {
-        this.init();
-    }
+        const modes = config.theme.modes;
+        const next = modes[(modes.indexOf(this.mode) + 1) % modes.length];
 
-    init() {
-        this.setupElements();
-        this.bindEvents();
+        this.toggleButton.innerHTML = ThemeManager.icons[this.mode];
+        this.toggleButton.setAttribute('aria-label', t('theme.toggle', {
+            mode: t(`theme.mode.${this.mode}`),
+            next: t(`theme.mode.${next}`)
+        }));
     }
 
-    setupElements() {
-        this.faqItems = document.querySelectorAll('.faq-item');
-        this.faqQuestions = document.querySelectorAll('.faq-question');
-    }
+    renderOptions() {
+        if (!this.optionsPanel) return;
+
+        const variants = config.theme.variants.map(variant => `
+            <label class="theme-variant-option">
+                <input type="radio" name="theme-variant" value="${variant}">
+                <span>${escapeHTML(t(`theme.variant.${variant}`))}</span>
+            </label>
+        `).join('');
+
+        const swatches = config.theme.accents.map(accent => `
+            <button type="button" class="theme-swatch" data-accent="${accent.color}" style="background: ${accent.color}"
+                aria-label="${escapeHTML(t(`theme.accent.${accent.name}`))}" aria-pressed="false"></button>
+        `).join('');
+
+        this.optionsPanel.innerHTML = `
+            <fieldset>
+                <legend>${escapeHTML(t('theme.variant'))}</legend>
+                ${variants}
+            </fieldset>
+            <fieldset>
+                <legend>${escapeHTML(t('theme.accent'))}</legend>
+                <div class="theme-swatches">
+                    ${swatches}
+                    <input type="color" class="theme-accent-input" aria-label="${escapeHTML(t('theme.accent.custom'))}">
+                    <button type="button" class="theme-accent-reset">${escapeHTML(t('theme.accent.reset'))}</button>
+                </div>
+            </fieldset>
+        `;
 
-    bindEvents() {
-        this.faqQuestions.forEach(question => {
-            question.addEventListener('click', (e) => this.toggleFAQ(e));
-        });
+        this.updateOptions();
     }
 
-    toggleFAQ(e) {
-        const question = e.currentTarget;
-        const faqItem = question.closest('.faq-item');
-        const isActive = faqItem.classList.contains('active');
+    updateOptions() {
+        if (!this.optionsPanel) return;
 
-        // Cerrar todos los FAQs
-        this.faqItems.forEach(item => {
-            item.classList.remove('active');
+        this.optionsPanel.querySelectorAll('input[name="theme-variant"]').forEach(input => {
+            input.checked = input.value === this.variant;
         });
 
-        // Abrir el FAQ clickeado si no estaba activo
-        if (!isActive) {
-            faqItem.classList.add('active');
+        this.optionsPanel.querySelectorAll('.theme-swatch[data-accent]').forEach(swatch => {
+            const active = Boolean(this.accent) && swatch.getAttribute('data-accent').toLowerCase() === this.accent.toLowerCase();
+            swatch.setAttribute('aria-pressed', String(active));
+        });
+
+        const input = this.optionsPanel.querySelector('.theme-accent-input');
+        if (input) {
+            input.value = this.accent || getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim() || '#6366f1';
+        }
+
+        const reset = this.optionsPanel.querySelector('.theme-accent-reset');
+        if (reset) {
+            reset.hidden = !this.accent;
         }
     }
 }
 
+ThemeManager.storageKeys = { mode: 'theme', variant: 'themeVariant', accent: 'accentColor' };
+ThemeManager.icons = { light: '☀️', dark: '🌙', system: '🖥️' };
+
 // ==========================================================================
-// ANIMACIONES AL SCROLL
+// COMPONENTES DECLARATIVOS (data-component)
 // ==========================================================================
 
-class ScrollAnimations {
-    constructor() {
-        this.init();
+// Tipos que se montan solos a partir de data-component="tipo"; las opciones se
+// leen de los data-* del mismo elemento. Se pueden añadir otros desde fuera.
+// name es el nombre con el que se registra la primera instancia en App.
+const componentTypes = {
+    typing: {
+        name: 'typingAnimation',
+        // data-words="Uno, Dos" o data-words-key="clave.del.catalogo", data-speed,
+        // data-delete-speed, data-delay y data-loop
+        create(element, options) {
+            const words = options.words !== undefined
+                ? TypingAnimation.parseWords(options.words)
+                : (options.wordsKey ? t(options.wordsKey) : []);
+            return new TypingAnimation(element, words, {
+                wordsKey: options.words === undefined ? options.wordsKey : undefined,
+                typingSpeed: options.speed,
+                deletingSpeed: options.deleteSpeed,
+                delayBetweenWords: options.delay,
+                loop: options.loop
+            });
+        }
+    },
+    faq: {
+        name: 'faq',
+        create: (element) => new FAQ(element)
+    },
+    'contact-form': {
+        name: 'contactForm',
+        create: (element) => new ContactForm(element)
+    },
+    projects: {
+        name: 'projects',
+        create: (element, options, app) => new ProjectsView(element, app, options)
+    }
+};
+
+class ComponentRegistry extends Component {
+    constructor(app, types = componentTypes) {
+        super();
+        this.app = app;
+        this.types = types;
+        // elemento -> Map(tipo -> nombre registrado en App)
+        this.instances = new Map();
+        this.mount();
     }
 
     init() {
-        this.setupElements();
-        this.bindEvents();
-        this.checkAnimations();
+        this.mountWithin(document);
+
+        if (!('MutationObserver' in window)) return;
+
+        // Contenido añadido o retirado después de la carga (enrutador, JS propio...)
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                        this.unmountWithin(node);
+                    }
+                });
+
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                        this.mountWithin(node);
+                    }
+                });
+            });
+        });
+
+        observer.observe(document.body, { childList: true, subtree: true });
+        this.onCleanup(() => observer.disconnect());
     }
 
-    setupElements() {
-        this.animatedElements = document.querySelectorAll([
-            '.fade-in',
-            '.slide-up',
-            '.slide-left',
-            '.slide-right',
-            '.skill-item',
-            '.project-card',
-            '.project-card-detailed',
-            '.timeline-item',
-            '.contact-item'
-        ].join(','));
+    unmount() {
+        this.unmountWithin(document);
+        super.unmount();
     }
 
-    bindEvents() {
-        window.addEventListener('scroll', throttle(() => this.checkAnimations(), 100));
-        window.addEventListener('resize', debounce(() => this.checkAnimations(), 250));
+    static parseTypes(element) {
+        return (element.getAttribute('data-component') || '').split(/\s+/).filter(Boolean);
     }
 
-    checkAnimations() {
-        this.animatedElements.forEach(element => {
-            if (isInViewport(element, 100) && !element.classList.contains('animated')) {
-                element.classList.add('animated');
-                this.triggerAnimation(element);
-            }
+    // data-* -> opciones: "true"/"false" y atributos vacíos son booleanos,
+    // los números se convierten y los valores que empiezan por [ o { se leen como JSON
+    static readOptions(element) {
+        const options = {};
+
+        Object.entries(element.dataset).forEach(([key, value]) => {
+            if (key === 'component' || key === 'componentName') return;
+            options[key] = ComponentRegistry.parseValue(value);
         });
+
+        return options;
     }
 
-    triggerAnimation(element) {
-        // Añadir clases de animación específicas
-        if (element.classList.contains('skill-item')) {
-            element.style.animationDelay = `${Math.random() * 0.5}s`;
+    static parseValue(value) {
+        const text = value.trim();
+
+        if (text === '' || text === 'true') return true;
+        if (text === 'false') return false;
+        if (!isNaN(text)) return Number(text);
+
+        if (text.startsWith('[') || text.startsWith('{')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                // No es JSON: se usa como texto
+            }
         }
-        
-        if (element.classList.contains('project-card') || element.classList.contains('project-card-detailed')) {
-            element.style.animationDelay = `${Math.random() * 0.3}s`;
+
+        return value;
+    }
+
+    mountWithin(root) {
+        const elements = root.matches?.('[data-component]') ? [root] : [];
+        elements.push(...root.querySelectorAll('[data-component]'));
+
+        elements.forEach(element => {
+            ComponentRegistry.parseTypes(element).forEach(type => this.create(element, type));
+        });
+    }
+
+    create(element, type) {
+        const mounted = this.instances.get(element) || new Map();
+        if (mounted.has(type)) return;
+
+        const definition = this.types[type];
+        if (!definition) {
+            console.warn(`Componente desconocido: ${type}`);
+            return;
         }
 
-        if (element.classList.contains('timeline-item')) {
-            element.style.animationDelay = `${Array.from(element.parentNode.children).indexOf(element) * 0.2}s`;
+        try {
+            const component = definition.create(element, ComponentRegistry.readOptions(element), this.app);
+            const name = this.nameFor(element, type, definition);
+
+            this.app.registerComponent(name, component);
+            mounted.set(type, name);
+            this.instances.set(element, mounted);
+        } catch (error) {
+            console.error(`Error al montar el componente "${type}":`, error);
         }
+    }
 
-        // Trigger counter animations for stats
-        const statNumbers = element.querySelectorAll('.stat h3');
-        statNumbers.forEach(stat => this.animateCounter(stat));
+    // data-component-name manda; si no, el nombre del tipo y luego nombre-2, nombre-3...
+    nameFor(element, type, definition) {
+        const explicit = element.getAttribute('data-component-name');
+        if (explicit) return explicit;
+
+        const base = definition.name || type;
+        let name = base;
+        for (let index = 2; this.app.getComponent(name); index++) {
+            name = `${base}-${index}`;
+        }
+        return name;
     }
 
-    animateCounter(element) {
-        const target = parseInt(element.textContent.replace(/\D/g, ''));
-        const suffix = element.textContent.replace(/\d/g, '');
-        const duration = 2000;
-        const increment = target / (duration / 16);
-        let current = 0;
+    unmountWithin(root) {
+        this.instances.forEach((mounted, element) => {
+            if (element !== root && !root.contains(element)) return;
+
+            mounted.forEach(name => this.app.unregisterComponent(name));
+            this.instances.delete(element);
+        });
+    }
 
-        const timer = setInterval(() => {
-            current += increment;
-            if (current >= target) {
-                current = target;
-                clearInterval(timer);
+    // Todas las instancias de un tipo, en orden de montaje
+    getAll(type) {
+        const components = [];
+        this.instances.forEach(mounted => {
+            if (mounted.has(type)) {
+                components.push(this.app.getComponent(mounted.get(type)));
             }
-            element.textContent = Math.floor(current) + suffix;
-        }, 16);
+        });
+        return components;
     }
 }
 
 // ==========================================================================
-// TYPING ANIMATION
+// ANALÍTICA
 // ==========================================================================
 
-class TypingAnimation {
-    constructor(element, words, options = {}) {
-        this.element = element;
-        this.words = words;
-        this.options = {
-            typingSpeed: options.typingSpeed || config.typingSpeed,
-            deletingSpeed: options.deletingSpeed || config.deletingSpeed,
-            delayBetweenWords: options.delayBetweenWords || config.delayBetweenWords,
-            loop: options.loop !== false
-        };
-        
-        this.wordIndex = 0;
-        this.charIndex = 0;
-        this.isDeleting = false;
-        
-        this.init();
+// Envío por navigator.sendBeacon: no retrasa la navigación ni el cierre de la página
+class BeaconSink {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
     }
 
-    init() {
-        if (this.element && this.words.length > 0) {
-            this.type();
-        }
-    }
+    send(batch) {
+        const body = JSON.stringify({ events: batch });
 
-    type() {
-        const currentWord = this.words[this.wordIndex];
-        
-        if (this.isDeleting) {
-            this.charIndex--;
-        } else {
-            this.charIndex++;
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
         }
 
-        this.element.textContent = currentWord.substring(0, this.charIndex);
+        // Sin sendBeacon (o con la cola del navegador llena)
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(error => console.warn('No se pudieron enviar las estadísticas:', error));
+    }
+}
 
-        let typeSpeed = this.options.typingSpeed;
+// Para pruebas en local: cada lote se muestra en la consola
+class ConsoleSink {
+    send(batch) {
+        console.info('📊 Estadísticas:', batch);
+    }
+}
 
-        if (this.isDeleting) {
-            typeSpeed = this.options.deletingSpeed;
-        }
+// Para pruebas en local: los eventos se acumulan en localStorage (con límite)
+class LocalStorageSink {
+    constructor(options = {}) {
+        this.key = options.storageKey;
+        this.limit = options.storageLimit;
+    }
 
-        if (!this.isDeleting && this.charIndex === currentWord.length) {
-            // Pausa al final de la palabra
-            typeSpeed = this.options.delayBetweenWords;
-            this.isDeleting = true;
-        } else if (this.isDeleting && this.charIndex === 0) {
-            this.isDeleting = false;
-            this.wordIndex++;
-            
-            // Reiniciar si llegamos al final
-            if (this.wordIndex >= this.words.length) {
-                if (this.options.loop) {
-                    this.wordIndex = 0;
-                } else {
-                    return;
-                }
-            }
+    send(batch) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.key) || '[]');
+            localStorage.setItem(this.key, JSON.stringify(saved.concat(batch).slice(-this.limit)));
+        } catch (error) {
+            console.warn('No se pudieron guardar las estadísticas:', error);
         }
+    }
 
-        setTimeout(() => this.type(), typeSpeed);
+    clear() {
+        try {
+            localStorage.removeItem(this.key);
+        } catch (error) {
+            console.warn('No se pudieron borrar las estadísticas:', error);
+        }
     }
 }
 
-// ==========================================================================
-// LAZY LOADING DE IMÁGENES
-// ==========================================================================
+// Registro de destinos disponibles; se pueden añadir otros desde fuera
+const analyticsSinks = {
+    beacon: BeaconSink,
+    console: ConsoleSink,
+    localStorage: LocalStorageSink
+};
 
-class LazyLoader {
-    constructor() {
-        this.init();
+// Estadísticas anónimas: páginas vistas, uso del filtro, clics en enlaces de
+// proyectos, preguntas frecuentes abiertas, embudo del formulario y profundidad
+// de scroll. Sin cookies ni datos personales; nada se registra con Do Not Track
+// activo o sin el consentimiento del usuario.
+class Analytics extends Component {
+    constructor(options = {}) {
+        super();
+        this.options = { ...config.analytics, ...options };
+        this.sink = Analytics.createSink(this.options);
+        this.queue = [];
+        this.flushTimer = null;
+        // Página interna anterior (route:changed); null en la primera vista
+        this.previousPath = null;
+        this.mount();
+    }
+
+    // Sin endpoint solo se puede usar un destino local (console o localStorage)
+    static createSink(options) {
+        if (options.sink === 'beacon' && !options.endpoint) return null;
+
+        const Sink = analyticsSinks[options.sink];
+        return Sink ? new Sink(options) : null;
+    }
+
+    static get doNotTrack() {
+        return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    }
+
+    // 'granted' | 'denied' | null (el usuario aún no ha elegido)
+    get consent() {
+        try {
+            return localStorage.getItem(this.options.consentKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    get enabled() {
+        if (!this.sink || Analytics.doNotTrack) return false;
+        return this.options.requireConsent ? this.consent === 'granted' : this.consent !== 'denied';
     }
 
     init() {
-        this.setupElements();
+        this.setupToggle();
         this.bindEvents();
-        this.loadVisibleImages();
+        this.onCleanup(i18n.onChange(() => this.updateToggle()));
+        this.onCleanup(() => this.flush());
+        this.trackPageView();
     }
 
-    setupElements() {
-        this.lazyImages = document.querySelectorAll('img[data-src]');
-        this.imageObserver = null;
-        
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
+    setupToggle() {
+        this.toggles = document.querySelectorAll('.analytics-toggle');
+        this.toggles.forEach(toggle => {
+            // Sin destino configurado no hay nada que activar
+            toggle.hidden = !this.sink;
+            this.listen(toggle, 'click', () => this.setConsent(!this.enabled));
+        });
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        const key = Analytics.doNotTrack ? 'analytics.dnt' : (this.enabled ? 'analytics.on' : 'analytics.off');
+
+        this.toggles.forEach(toggle => {
+            toggle.textContent = t(key);
+            toggle.title = t('analytics.hint');
+            toggle.disabled = Analytics.doNotTrack;
+            toggle.setAttribute('aria-pressed', String(this.enabled));
+        });
+    }
+
+    setConsent(granted) {
+        try {
+            localStorage.setItem(this.options.consentKey, granted ? 'granted' : 'denied');
+        } catch (error) {
+            console.warn('No se pudo guardar el consentimiento:', error);
+        }
+
+        if (granted) {
+            this.trackPageView();
+        } else {
+            // Lo pendiente no se envía y lo guardado en local se borra
+            this.queue = [];
+            this.sink?.clear?.();
         }
+
+        this.updateToggle();
     }
 
-    setupIntersectionObserver() {
-        this.imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.loadImage(entry.target);
-                    this.imageObserver.unobserve(entry.target);
-                }
+    bindEvents() {
+        this.subscribe('route:changed', (detail) => {
+            this.previousPath = detail.previousPath;
+            this.trackPageView();
+        });
+
+        this.subscribe('filter:changed', (detail) => {
+            // Los filtros restaurados desde la URL no son una elección del usuario
+            if (detail.fromURL) return;
+
+            this.track('filter', {
+                facets: detail.facets,
+                match: detail.match,
+                // Solo si se buscó: el texto escrito no se registra
+                search: detail.query !== '',
+                sort: detail.sort,
+                results: detail.results
             });
-        }, {
-            rootMargin: '50px 0px'
         });
 
-        this.lazyImages.forEach(img => {
-            this.imageObserver.observe(img);
+        this.listen(document, 'click', (e) => {
+            const link = e.target.closest('.project-link');
+            if (!link) return;
+
+            this.track('project_link', {
+                project: link.closest('[data-project-id]')?.getAttribute('data-project-id') || null,
+                type: link.classList.contains('project-link-details') ? 'details' : (link.getAttribute('data-link-type') || 'link')
+            });
+        });
+
+        this.subscribe('faq:toggled', (detail) => {
+            if (detail.open) {
+                this.track('faq_expand', { question: detail.question });
+            }
+        });
+
+        this.subscribe('form:started', (detail) => this.track('form_started', { form: detail.form }));
+        this.subscribe('form:invalid', (detail) => this.track('form_invalid', { form: detail.form, fields: detail.fields }));
+        this.subscribe('form:submitted', (detail) => this.track('form_submitted', { form: detail.form, status: detail.status }));
+
+        this.listen(window, 'scroll', this.throttle(() => this.trackScrollDepth(), 250), { passive: true });
+
+        // Enviar lo pendiente antes de que la página se oculte o se cierre
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
         });
+        this.listen(window, 'pagehide', () => this.flush());
     }
 
-    bindEvents() {
-        if (!('IntersectionObserver' in window)) {
-            window.addEventListener('scroll', throttle(() => this.loadVisibleImages(), 100));
-            window.addEventListener('resize', debounce(() => this.loadVisibleImages(), 250));
-        }
+    trackPageView() {
+        // Cada página vista empieza de cero la profundidad de scroll
+        this.scrollDepths = new Set();
+        // document.referrer no cambia al navegar con el enrutador: solo vale para la primera vista
+        this.track('pageview', {
+            title: document.title,
+            referrer: !this.previousPath && document.referrer ? new URL(document.referrer).origin : null,
+            previousPath: this.previousPath
+        });
     }
 
-    loadVisibleImages() {
-        this.lazyImages.forEach(img => {
-            if (isInViewport(img, 50)) {
-                this.loadImage(img);
+    trackScrollDepth() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const percent = scrollable > 0 ? Math.round((window.pageYOffset / scrollable) * 100) : 100;
+
+        this.options.scrollDepths.forEach(depth => {
+            if (percent >= depth && !this.scrollDepths.has(depth)) {
+                this.scrollDepths.add(depth);
+                this.track('scroll_depth', { percent: depth });
             }
         });
     }
 
-    loadImage(img) {
-        const src = img.getAttribute('data-src');
-        if (!src) return;
+    track(type, data = {}) {
+        if (!this.enabled) return;
 
-        img.src = src;
-        img.removeAttribute('data-src');
-        img.classList.add('loaded');
-        
-        // Remover de la lista de imágenes lazy
-        this.lazyImages = Array.from(this.lazyImages).filter(image => image !== img);
+        this.queue.push({
+            type,
+            data,
+            path: window.location.pathname,
+            language: i18n.language,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = this.setTimer(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    flush() {
+        this.clearTimer(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.queue.length === 0 || !this.enabled) return;
+
+        const batch = this.queue.splice(0);
+        try {
+            this.sink.send(batch);
+        } catch (error) {
+            console.warn('No se pudieron enviar las estadísticas:', error);
+        }
     }
 }
 
 // ==========================================================================
-// PERFORMANCE Y OPTIMIZACIONES
+// ENRUTADOR
 // ==========================================================================
 
-class PerformanceOptimizer {
-    constructor() {
-        this.init();
+// Cambia de página sustituyendo solo <main>: cabecera, pie y componentes
+// globales se conservan. Sin JS (o si algo falla) los enlaces navegan igual.
+class Router extends Component {
+    constructor(app, options = {}) {
+        super();
+        this.app = app;
+        this.linkSelector = options.linkSelector || config.router.linkSelector;
+        this.currentPath = Router.normalizePath(window.location.pathname);
+        // Posición de scroll por entrada del historial
+        this.scrollPositions = new Map();
+        this.request = null;
+        this.mount();
     }
 
-    init() {
-        this.prefetchLinks();
-        this.optimizeScrolling();
-        this.handleConnectionSpeed();
+    static isSupported() {
+        return 'fetch' in window && 'DOMParser' in window && Boolean(window.history && history.pushState);
     }
 
-    prefetchLinks() {
-        // Prefetch de páginas importantes al hover
-        const importantLinks = document.querySelectorAll('a[href$=".html"]');
-        
-        importantLinks.forEach(link => {
-            link.addEventListener('mouseenter', () => {
-                if (!link.hasAttribute('data-prefetched')) {
-                    const prefetchLink = document.createElement('link');
-                    prefetchLink.rel = 'prefetch';
-                    prefetchLink.href = link.href;
-                    document.head.appendChild(prefetchLink);
-                    link.setAttribute('data-prefetched', 'true');
-                }
-            });
-        });
+    // index.html y la raíz del sitio son la misma página
+    static normalizePath(pathname) {
+        return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
     }
 
-    optimizeScrolling() {
-        // Optimizar scroll con passive listeners
-        let ticking = false;
-        
-        const updateScrollPosition = () => {
-            // Actualizar posición de elementos que dependen del scroll
-            this.updateParallaxElements();
-            ticking = false;
-        };
+    static createKey() {
+        return Math.random().toString(36).slice(2, 10);
+    }
 
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                requestAnimationFrame(updateScrollPosition);
-                ticking = true;
-            }
-        }, { passive: true });
+    init() {
+        if (!Router.isSupported()) return;
+
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        this.currentKey = history.state?.routeKey || Router.createKey();
+        history.replaceState({ ...history.state, routeKey: this.currentKey }, '');
+        this.scrollPositions.set(this.currentKey, window.pageYOffset);
+
+        this.bindEvents();
     }
 
-    updateParallaxElements() {
-        const scrolled = window.pageYOffset;
-        const parallaxElements = document.querySelectorAll('[data-parallax]');
-        
-        parallaxElements.forEach(element => {
-            const speed = element.getAttribute('data-parallax') || 0.5;
-            const yPos = -(scrolled * speed);
-            element.style.transform = `translateY(${yPos}px)`;
-        });
+    bindEvents() {
+        this.listen(document, 'click', (e) => this.handleClick(e));
+        this.listen(window, 'popstate', (e) => this.handlePopState(e));
+        this.listen(window, 'scroll', this.throttle(() => {
+            this.scrollPositions.set(this.currentKey, window.pageYOffset);
+        }, 100));
     }
 
-    handleConnectionSpeed() {
-        // Adaptarse a la velocidad de conexión
-        if ('connection' in navigator) {
-            const connection = navigator.connection;
-            
-            if (connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
-                // Reducir animaciones en conexiones lentas
-                document.body.classList.add('reduce-motion');
-                
-                // Deshabilitar lazy loading si es muy lenta
-                this.disableLazyLoading();
-            }
-        }
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest(this.linkSelector);
+        if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return;
+
+        // Misma página: que el navegador gestione el hash o la recarga
+        if (Router.normalizePath(url.pathname) === this.currentPath) return;
+
+        e.preventDefault();
+        this.navigate(url);
     }
 
-    disableLazyLoading() {
-        const lazyImages = document.querySelectorAll('img[data-src]');
-        lazyImages.forEach(img => {
-            img.src = img.getAttribute('data-src');
-            img.removeAttribute('data-src');
+    handlePopState(e) {
+        this.scrollPositions.set(this.currentKey, window.pageYOffset);
+
+        const path = Router.normalizePath(window.location.pathname);
+        const samePage = path === this.currentPath;
+
+        // Las entradas creadas por otros (hash del modal, filtros) heredan la clave de la visita
+        if (e.state?.routeKey) {
+            this.currentKey = e.state.routeKey;
+        } else {
+            this.currentKey = samePage ? this.currentKey : Router.createKey();
+            history.replaceState({ ...e.state, routeKey: this.currentKey }, '');
+        }
+
+        // Cambios dentro de la misma página los gestionan el filtro y el modal
+        if (samePage) return;
+
+        this.navigate(new URL(window.location.href), {
+            push: false,
+            scrollY: this.scrollPositions.get(this.currentKey) || 0
         });
     }
-}
 
-// ==========================================================================
-// THEME MANAGER (MODO OSCURO)
-// ==========================================================================
+    async navigate(url, options = {}) {
+        const { push = true, scrollY = 0 } = options;
 
-class ThemeManager {
-    constructor() {
-        this.currentTheme = 'light';
-        this.init();
-    }
+        // Solo cuenta la última navegación pedida
+        this.request?.abort();
+        const request = new AbortController();
+        this.request = request;
 
-    init() {
-        this.loadSavedTheme();
-        this.setupToggleButton();
-        this.detectSystemPreference();
+        const main = document.querySelector('main');
+        main?.setAttribute('aria-busy', 'true');
+
+        let page;
+        try {
+            page = await this.fetchPage(url, request.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            // Cualquier fallo se resuelve con una navegación normal
+            console.warn('No se pudo cargar la página, navegando de forma normal:', error);
+            this.fallback(url, push);
+            return;
+        } finally {
+            main?.removeAttribute('aria-busy');
+        }
+
+        // La URL debe estar actualizada antes de montar (filtros y modal la leen)
+        if (push) {
+            this.scrollPositions.set(this.currentKey, window.pageYOffset);
+            this.currentKey = Router.createKey();
+            history.pushState({ routeKey: this.currentKey }, '', url.href);
+        }
+
+        const update = () => this.render(page, url, push ? 0 : scrollY);
+
+        // Si el montaje falla a medias, la página queda incompleta: mejor recargarla entera
+        try {
+            if (document.startViewTransition && !motion.reduced) {
+                await document.startViewTransition(update).updateCallbackDone;
+            } else {
+                update();
+            }
+        } catch (error) {
+            console.error('No se pudo mostrar la página, navegando de forma normal:', error);
+            // La entrada ya está en el historial: recargarla en lugar de añadir otra igual
+            this.fallback(url, false);
+        }
     }
 
-    loadSavedTheme() {
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme) {
-            this.setTheme(savedTheme);
+    // Navegación completa del navegador. Sin entrada nueva en el historial
+    // (popstate, o pushState ya hecho) basta con recargar la URL actual
+    fallback(url, push) {
+        if (push) {
+            window.location.assign(url.href);
+        } else {
+            window.location.reload();
         }
     }
 
-    setupToggleButton() {
-        const themeToggle = document.getElementById('theme-toggle');
-        if (themeToggle) {
-            themeToggle.addEventListener('click', () => this.toggleTheme());
+    async fetchPage(url, signal) {
+        const response = await fetch(url.href, {
+            signal,
+            headers: { Accept: 'text/html' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+        if (!page.querySelector('main')) {
+            throw new Error('La página no tiene <main>');
         }
+
+        return page;
     }
 
-    detectSystemPreference() {
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            if (!localStorage.getItem('theme')) {
-                this.setTheme('dark');
-            }
+    render(page, url, scrollY) {
+        const previousPath = this.currentPath;
+        this.app.destroyRouteComponents();
+
+        const main = document.adoptNode(page.querySelector('main'));
+        document.querySelector('main').replaceWith(main);
+        this.currentPath = Router.normalizePath(url.pathname);
+
+        this.updateHead(page);
+        i18n.translatePage(main);
+        this.updateActiveLink();
+
+        this.app.initializeRouteComponents();
+        this.restoreScroll(url, scrollY);
+
+        // Llevar el foco al nuevo contenido para lectores de pantalla y teclado
+        main.setAttribute('tabindex', '-1');
+        main.focus({ preventScroll: true });
+
+        events.emit('route:changed', {
+            path: this.currentPath,
+            previousPath,
+            title: document.title
+        });
+    }
+
+    updateHead(page) {
+        const title = page.querySelector('title');
+        const key = title?.getAttribute('data-i18n');
+        const current = document.querySelector('title');
+
+        if (key && current) {
+            current.setAttribute('data-i18n', key);
         }
+        document.title = key ? t(key) : (title?.textContent || document.title);
 
-        // Escuchar cambios en la preferencia del sistema
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!localStorage.getItem('theme')) {
-                this.setTheme(e.matches ? 'dark' : 'light');
+        // Metadatos con name/property (description, og:*, etc.)
+        const selector = 'meta[name], meta[property]';
+        const attributeOf = (meta) => (meta.hasAttribute('name') ? 'name' : 'property');
+        const incoming = new Map(Array.from(page.head.querySelectorAll(selector))
+            .map(meta => [`${attributeOf(meta)}=${meta.getAttribute(attributeOf(meta))}`, meta]));
+
+        document.head.querySelectorAll(selector).forEach(meta => {
+            const id = `${attributeOf(meta)}=${meta.getAttribute(attributeOf(meta))}`;
+            const next = incoming.get(id);
+
+            if (next) {
+                meta.setAttribute('content', next.getAttribute('content') || '');
+                incoming.delete(id);
+            } else {
+                meta.remove();
             }
         });
-    }
 
-    toggleTheme() {
-        const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
+        incoming.forEach(meta => document.head.appendChild(document.importNode(meta, true)));
     }
 
-    setTheme(theme) {
-        this.currentTheme = theme;
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        
-        // Actualizar icono del botón toggle
-        this.updateToggleIcon(theme);
+    updateActiveLink() {
+        document.querySelectorAll('.nav-link').forEach(link => {
+            const path = Router.normalizePath(new URL(link.href, window.location.href).pathname);
+            const active = path === this.currentPath;
+            link.classList.toggle('active', active);
+
+            if (active) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
     }
 
-    updateToggleIcon(theme) {
-        const themeToggle = document.getElementById('theme-toggle');
-        if (themeToggle) {
-            themeToggle.innerHTML = theme === 'light' ? '🌙' : '☀️';
+    restoreScroll(url, scrollY) {
+        const target = url.hash && !ProjectModal.parseHash(url.hash)
+            ? document.getElementById(decodeURIComponent(url.hash.slice(1)))
+            : null;
+
+        if (target && !scrollY) {
+            target.scrollIntoView();
+        } else {
+            window.scrollTo(0, scrollY);
         }
     }
 }
@@ -868,6 +6554,8 @@ class ThemeManager {
 class App {
     constructor() {
         this.components = {};
+        // Bus de eventos compartido: portfolioApp.events.on('theme:*', ...)
+        this.events = events;
         this.init();
     }
 
@@ -902,43 +6590,45 @@ class App {
     }
 
     initializeComponents() {
+        // Idioma: traducir la página antes de que otros componentes generen texto
+        i18n.mount();
+        this.registerComponent('i18n', i18n);
+
+        // Preferencia de movimiento: el resto de componentes la consultan al animar
+        motion.mount();
+        this.registerComponent('motion', motion);
+
         // Navegación (presente en todas las páginas)
-        this.components.navigation = new Navigation();
-        
-        // Filtro de proyectos (solo en página de proyectos)
-        if (document.querySelector('.filter-btn')) {
-            this.components.projectFilter = new ProjectFilter();
-        }
-        
-        // Formulario de contacto (solo en página de contacto)
-        if (document.getElementById('contact-form')) {
-            this.components.contactForm = new ContactForm();
-        }
-        
-        // FAQ (solo en página de contacto)
-        if (document.querySelector('.faq-item')) {
-            this.components.faq = new FAQ();
-        }
+        this.registerComponent('navigation', new Navigation());
         
         // Animaciones de scroll
-        this.components.scrollAnimations = new ScrollAnimations();
+        this.registerComponent('scrollAnimations', new ScrollAnimations());
         
         // Lazy loading
-        this.components.lazyLoader = new LazyLoader();
+        this.registerComponent('lazyLoader', new LazyLoader());
+
+        // Visor de imágenes a pantalla completa
+        this.registerComponent('lightbox', new Lightbox(this.components.lazyLoader));
         
         // Theme manager
-        this.components.themeManager = new ThemeManager();
-        
-        // Animación de escritura en hero (solo en página de inicio)
-        this.initializeTypingAnimation();
+        this.registerComponent('themeManager', new ThemeManager());
+
+        // Cambio de página sin recarga: solo se vuelve a montar el contenido de <main>
+        this.registerComponent('router', new Router(this));
+
+        // Formulario, FAQ, catálogo, animación de escritura... según data-component
+        this.registerComponent('componentRegistry', new ComponentRegistry(this));
+        this.components.lazyLoader.refresh();
     }
 
-    initializeTypingAnimation() {
-        const typingElement = document.querySelector('.typing-text');
-        if (typingElement) {
-            const words = ['Desarrollador', 'Full Stack', 'Creativo', 'Innovador'];
-            this.components.typingAnimation = new TypingAnimation(typingElement, words);
-        }
+    // Componentes declarados con data-component dentro de <main>
+    initializeRouteComponents() {
+        this.components.componentRegistry.mountWithin(document.querySelector('main') || document.body);
+        this.components.lazyLoader.refresh();
+    }
+
+    destroyRouteComponents() {
+        this.components.componentRegistry.unmountWithin(document.querySelector('main') || document.body);
     }
 
     setupErrorHandling() {
@@ -964,7 +6654,10 @@ class App {
     }
 
     initializeOptimizations() {
-        this.components.performanceOptimizer = new PerformanceOptimizer();
+        this.registerComponent('performanceOptimizer', new PerformanceOptimizer());
+
+        // Estadísticas anónimas (solo con consentimiento y sin Do Not Track)
+        this.registerComponent('analytics', new Analytics());
     }
 
     handleInitializationError(error) {
@@ -984,10 +6677,9 @@ class App {
                 z-index: 9999;
                 max-width: 300px;
             ">
-                <h4 style="margin: 0 0 0.5rem 0;">Error de Inicialización</h4>
+                <h4 style="margin: 0 0 0.5rem 0;">${t('app.initErrorTitle')}</h4>
                 <p style="margin: 0; font-size: 0.875rem;">
-                    Algunas funcionalidades pueden no estar disponibles. 
-                    Por favor, recarga la página.
+                    ${t('app.initErrorText')}
                 </p>
             </div>
         `;
@@ -1005,7 +6697,7 @@ class App {
         if (element.tagName === 'IMG') {
             // Usar imagen placeholder para imágenes que fallan
             element.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KICA8cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjNmNGY2Ii8+CiAgPHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzljYTNhZiIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlbiBubyBkaXNwb25pYmxlPC90ZXh0Pgo8L3N2Zz4K';
-            element.alt = 'Imagen no disponible';
+            element.alt = t('app.imageUnavailable');
         }
     }
 
@@ -1024,36 +6716,70 @@ class App {
         console.log('Error logged:', errorLog);
     }
 
+    // Registrar un componente con nombre; si ya había otro con ese nombre se destruye
+    registerComponent(name, component) {
+        const previous = this.components[name];
+        if (previous && previous !== component) {
+            this.unregisterComponent(name);
+        }
+
+        if (component instanceof Component) {
+            component.mount();
+        }
+
+        this.components[name] = component;
+        return component;
+    }
+
+    unregisterComponent(name) {
+        const component = this.components[name];
+        if (!component) return;
+
+        if (typeof component.destroy === 'function') {
+            component.destroy();
+        }
+        delete this.components[name];
+    }
+
     // Método público para acceder a los componentes desde el exterior
     getComponent(name) {
         return this.components[name];
     }
+
+    // Todas las instancias montadas de un tipo de data-component
+    getComponents(type) {
+        return this.components.componentRegistry ? this.components.componentRegistry.getAll(type) : [];
+    }
 }
 
 // ==========================================================================
 // UTILIDADES ADICIONALES
 // ==========================================================================
 
-// Función para formatear números
-function formatNumber(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+// Función para formatear números según el idioma activo (Intl.NumberFormat)
+function formatNumber(num, options = {}) {
+    return new Intl.NumberFormat(i18n.language, options).format(num);
 }
 
-// Función para validar formularios
-function validateForm(formElement) {
-    const inputs = formElement.querySelectorAll('input[required], textarea[required], select[required]');
-    let isValid = true;
-    
-    inputs.forEach(input => {
-        if (!input.value.trim()) {
-            input.classList.add('error');
-            isValid = false;
-        } else {
-            input.classList.remove('error');
-        }
+// Función para validar formularios (mismo motor que ContactForm). Síncrona:
+// solo aplica las reglas declarativas; para validadores propios, validateFormAsync
+function validateForm(formElement, schema = {}) {
+    const { valid, errors } = new FormValidator(formElement, schema).validateSync();
+    markFormErrors(formElement, errors);
+    return valid;
+}
+
+// Validación completa, incluidos validadores asíncronos y reglas entre campos
+async function validateFormAsync(formElement, schema = {}) {
+    const { valid, errors } = await new FormValidator(formElement, schema).validate();
+    markFormErrors(formElement, errors);
+    return valid;
+}
+
+function markFormErrors(formElement, errors) {
+    formElement.querySelectorAll('input[name], textarea[name], select[name]').forEach(input => {
+        input.classList.toggle('error', Boolean(errors[input.name]));
     });
-    
-    return isValid;
 }
 
 // Función para copiar texto al portapapeles
@@ -1114,6 +6840,9 @@ initPortfolio();
 
 // Exponer funciones útiles globalmente
 window.portfolioApp = portfolioApp;
+window.i18n = i18n;
+window.motion = motion;
+window.events = events;
 window.smoothScrollTo = smoothScrollTo;
 window.copyToClipboard = copyToClipboard;
 window.formatNumber = formatNumber;
@@ -1124,20 +6853,18 @@ window.getBrowserInfo = getBrowserInfo;
 // ==========================================================================
 
 // Prevenir el comportamiento por defecto de arrastre en imágenes
+// (salvo las miniaturas de adjuntos, que viven dentro de su propia zona)
 document.addEventListener('dragstart', (e) => {
-    if (e.target.tagName === 'IMG') {
+    if (e.target.tagName === 'IMG' && !e.target.closest('.attachment-zone')) {
         e.preventDefault();
     }
 });
 
 // Mejorar la accesibilidad con navegación por teclado
 document.addEventListener('keydown', (e) => {
-    // Escape para cerrar menús
+    // Escape para cerrar menús y ventanas modales: cada componente decide en su suscripción
     if (e.key === 'Escape') {
-        const navigation = portfolioApp.getComponent('navigation');
-        if (navigation) {
-            navigation.closeMobileMenu();
-        }
+        events.emit('ui:escape', { handled: false });
     }
     
     // Enter y Space para activar elementos clickeables
@@ -0,0 +1,129 @@
+// ==========================================================================
+// SERVIDOR DE PRUEBA DEL FORMULARIO DE CONTACTO
+// ==========================================================================
+//
+// Sirve el sitio en local y simula el backend del formulario en /api/contact,
+// para probar FetchTransport y la bandeja de salida sin un servidor real.
+// Solo usa módulos de Node, sin dependencias:
+//
+//   node tools/contact-stub-server.js [puerto]
+//
+// contact.html se sirve con action="/api/contact" en el formulario, así que
+// ContactForm usa el transporte fetch en lugar de mailto. La respuesta depende
+// del asunto del mensaje:
+//
+//   contiene "422" → 422 con errores por campo (se muestran bajo cada input)
+//   contiene "500" → 500 (mensaje de error general)
+//   cualquier otro → 200 { ok: true }
+//
+// Para probar la cola sin conexión, detener el servidor, enviar y volver a arrancarlo.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const port = Number(process.argv[2]) || 8080;
+const endpoint = '/api/contact';
+
+const types = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// JSON o multipart (con adjuntos); de multipart solo interesan los campos de texto
+function parseBody(req, raw) {
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.includes('application/json')) {
+        return JSON.parse(raw.toString('utf8'));
+    }
+
+    const fields = {};
+    const files = [];
+    const boundary = (contentType.match(/boundary=(.+)$/) || [])[1];
+    if (!boundary) return fields;
+
+    raw.toString('latin1').split(`--${boundary}`).forEach(part => {
+        const name = (part.match(/name="([^"]+)"/) || [])[1];
+        const filename = (part.match(/filename="([^"]*)"/) || [])[1];
+        if (!name) return;
+
+        if (filename !== undefined) {
+            files.push(filename);
+        } else {
+            const value = part.split('\r\n\r\n').slice(1).join('\r\n\r\n').replace(/\r\n$/, '');
+            fields[name] = Buffer.from(value, 'latin1').toString('utf8');
+        }
+    });
+
+    fields.attachments = files;
+    return fields;
+}
+
+function handleContact(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = parseBody(req, Buffer.concat(chunks));
+        } catch (error) {
+            sendJSON(res, 400, { message: 'JSON no válido' });
+            return;
+        }
+
+        console.log(`[contacto] ${payload.name} <${payload.email}>: ${payload.subject}`);
+        const subject = String(payload.subject || '');
+
+        if (subject.includes('422')) {
+            sendJSON(res, 422, {
+                message: 'Revisa los datos del formulario',
+                errors: { email: 'El servidor rechazó este correo', message: 'El servidor rechazó este mensaje' }
+            });
+        } else if (subject.includes('500')) {
+            sendJSON(res, 500, { message: 'Error interno simulado' });
+        } else {
+            sendJSON(res, 200, { ok: true });
+        }
+    });
+}
+
+function serveStatic(req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(root, pathname === '/' ? 'index.html' : pathname);
+
+    if (!file.startsWith(root) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('No encontrado');
+        return;
+    }
+
+    let content = fs.readFileSync(file);
+    if (path.basename(file) === 'contact.html') {
+        content = content.toString('utf8').replace('id="contact-form"', `id="contact-form" action="${endpoint}"`);
+    }
+
+    res.writeHead(200, { 'Content-Type': types[path.extname(file)] || 'application/octet-stream' });
+    res.end(content);
+}
+
+http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === endpoint) {
+        handleContact(req, res);
+    } else {
+        serveStatic(req, res);
+    }
+}).listen(port, () => {
+    console.log(`Sitio en http://localhost:${port}/ (formulario en ${endpoint})`);
+});